@@ -0,0 +1,123 @@
+/**
+ * Infinity Idea Generator - seed check
+ * Checks that a seeded session gives the same options when an idea is
+ * revisited after other branches were explored, and when the alternatives
+ * {sibling} picks from were explored in another order. Needs nothing but Node:
+ *
+ *     node check-seeds.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// Load the idea engine into a sandbox, as the page would with a <script> tag
+const sandbox = {};
+vm.createContext(sandbox);
+vm.runInContext(fs.readFileSync(path.join(__dirname, 'idea-engine.js'), 'utf8'), sandbox);
+vm.runInContext(`operatorMappings = ${fs.readFileSync(path.join(__dirname, 'operator-mappings.json'), 'utf8')};`, sandbox);
+
+const engine = vm.runInContext('({ context, operatorUsageCount, generateOptions, seedRandomForCurrentStep, determinePhaseFromSteps, getCurrentPath, getTemplatesForDomain })', sandbox);
+const { context, operatorUsageCount } = engine;
+
+/**
+ * Generate the options of the current idea, as the app does for a new step
+ */
+function generateStep() {
+    context.currentPhase = engine.determinePhaseFromSteps(engine.getCurrentPath().length + 1);
+    engine.seedRandomForCurrentStep();
+    return engine.generateOptions(5);
+}
+
+/**
+ * Choose an option: add it below the current idea and count its operator
+ */
+function choose(option) {
+    const node = { choice: option.text, provenance: option.provenance, parent: context.currentNode, children: [] };
+    if (context.currentNode) {
+        context.currentNode.children.push(node);
+    } else {
+        context.rootNode = node;
+    }
+    operatorUsageCount[option.templateKey] = (operatorUsageCount[option.templateKey] || 0) + 1;
+    context.currentNode = node;
+    return node;
+}
+
+/**
+ * Option texts, for comparing option sets
+ */
+function describe(options) {
+    return options.map(option => option.text).join(' / ');
+}
+
+/**
+ * Explore below an idea, choosing every option offered so operator usage
+ * counts change a lot, then go back to the idea
+ */
+function explore(node, branches) {
+    for (let branch = 0; branch < branches; branch++) {
+        context.currentNode = node;
+        for (let step = 0; step < 4; step++) {
+            const options = generateStep();
+            options.slice(1).forEach(option => {
+                choose(option);
+                context.currentNode = context.currentNode.parent;
+            });
+            choose(options[0]);
+        }
+    }
+    context.currentNode = node;
+}
+
+/**
+ * Report a mismatch and fail the check
+ */
+function fail(message) {
+    console.error(message);
+    process.exit(1);
+}
+
+context.domain = 'sustainable restaurant app';
+context.seed = 'check-seeds';
+
+// Walk two steps down one branch
+choose(generateStep()[0]);
+const revisited = choose(generateStep()[0]);
+const expected = describe(generateStep());
+
+// Explore sibling branches below the first idea, then go back to the revisited idea
+explore(revisited.parent, 3);
+context.currentNode = revisited;
+const actual = describe(generateStep());
+
+if (actual !== expected) {
+    fail(`Revisiting "${revisited.choice}" gave different options:\n  before: ${expected}\n  after:  ${actual}`);
+}
+console.log(`OK: revisiting "${revisited.choice}" gives the same options`);
+
+// {sibling}: at a third idea with two alternatives beside it, the operators
+// using {sibling} are in the pool
+const thirdOptions = generateStep();
+choose(thirdOptions[1]);
+context.currentNode = revisited;
+choose(thirdOptions[2]);
+context.currentNode = revisited;
+const withSiblings = choose(thirdOptions[0]);
+if (!engine.getTemplatesForDomain().some(template => template.text.includes('{sibling}'))) {
+    fail(`No {sibling} operator offered at "${withSiblings.choice}"`);
+}
+const expectedWithSiblings = describe(generateStep());
+
+// Explore below the idea and its alternatives, then list the alternatives in
+// the other order, as if they had been explored the other way round
+explore(withSiblings, 2);
+revisited.children.slice(0, 2).forEach(sibling => explore(sibling, 1));
+revisited.children.reverse();
+context.currentNode = withSiblings;
+const actualWithSiblings = describe(generateStep());
+
+if (actualWithSiblings !== expectedWithSiblings) {
+    fail(`Revisiting "${withSiblings.choice}" with its alternatives in another order gave different options:\n  before: ${expectedWithSiblings}\n  after:  ${actualWithSiblings}`);
+}
+console.log(`OK: revisiting "${withSiblings.choice}" gives the same options, whatever order its alternatives were explored in`);
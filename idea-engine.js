@@ -0,0 +1,1193 @@
+/**
+ * Infinity Idea Generator - idea engine
+ * Option generation shared by the app (script.js) and the operator editor's
+ * preview (operator-editor.html): phase model, category matching, operator
+ * weighting and placeholder filling, plus the operator-mappings.json validator.
+ * Pages set operatorMappings and context before generating
+ */
+
+// Constants
+const GENERIC_TEMPLATE_RATIO = 0.2; // Share of the operator weight given to generic (default) operators for variety
+const MANUAL_CATEGORY_SCORE = 1; // Relevance of a category chosen by hand (as much as one keyword match)
+const MIN_STEM_LENGTH = 3; // Words this short are matched as they are (ui, ux, app)
+const MAX_SLOT_DEPTH = 5; // Maximum nesting of slots inside slot values (guards against cycles)
+const CONTEXT_PLACEHOLDER_PATTERN = /{(domain|last|first|prev|random_ancestor|sibling|step:\d+)}/g; // Filled from the session path, not from slots
+const MAX_ATTEMPTS_MULTIPLIER = 10; // Safety multiplier for selection loops
+const FREQUENCY_BIAS_FACTOR = 0.1; // Factor for reducing weight of frequently used operators
+const DISMISS_BIAS_FACTOR = 0.5; // Factor for reducing weight of operators whose options were shuffled away
+const MAPPINGS_SCHEMA_VERSION = 1; // Bump when operator-mappings.json changes shape (older files must stay loadable)
+const OPERATOR_DIFFICULTIES = ['low', 'medium', 'high'];
+const OPERATOR_WEIGHT_RANGE = [0.1, 5]; // Operator weights outside this range are flagged by the linter
+const COMMON_WORD_EXAMPLES = 3; // Common words quoted when a keyword matches them
+
+// Everyday words that turn up in all sorts of domains: a keyword matching one
+// of them should carry a weight below 1 so it doesn't outweigh specific keywords
+const COMMON_WORDS = [
+    'about', 'account', 'action', 'activity', 'actually', 'address', 'again', 'against', 'agency', 'always',
+    'another', 'answer', 'apply', 'approach', 'area', 'around', 'article', 'average', 'away',
+    'baby', 'back', 'bank', 'because', 'become', 'before', 'being', 'better', 'between', 'black',
+    'board', 'body', 'book', 'break', 'bring', 'build', 'building', 'business', 'called', 'camera',
+    'capital', 'card', 'care', 'career', 'cart', 'case', 'catch', 'center', 'certain', 'chance',
+    'change', 'chart', 'check', 'child', 'choice', 'city', 'class', 'clean', 'clear', 'close',
+    'club', 'coach', 'college', 'community', 'condition', 'content', 'control', 'country', 'course', 'create',
+    'culture', 'current', 'data', 'date', 'deal', 'degree', 'delivery', 'department', 'different', 'dinner',
+    'direct', 'doctor', 'dream', 'drive', 'early', 'earth', 'easy', 'education', 'effect', 'energy',
+    'entire', 'environment', 'event', 'every', 'example', 'experience', 'family', 'fashion', 'father', 'field',
+    'final', 'finance', 'fitness', 'floor', 'follow', 'friend', 'front', 'future', 'garden', 'general',
+    'government', 'great', 'group', 'grow', 'guide', 'happy', 'health', 'heart', 'history', 'holiday',
+    'home', 'hospital', 'hotel', 'house', 'human', 'idea', 'image', 'important', 'industry', 'information',
+    'interest', 'international', 'item', 'kitchen', 'language', 'large', 'later', 'learn', 'learning', 'letter',
+    'light', 'local', 'luxury', 'machine', 'major', 'manager', 'material', 'media', 'medical',
+    'meeting', 'member', 'message', 'method', 'middle', 'mission', 'model', 'money', 'month', 'mother',
+    'movie', 'music', 'national', 'nature', 'network', 'news', 'night', 'number', 'office', 'online',
+    'open', 'order', 'other', 'parent', 'park', 'part', 'party', 'patient', 'people', 'person',
+    'personal', 'phone', 'photo', 'picture', 'place', 'plan', 'plant', 'point', 'police', 'policy',
+    'political', 'popular', 'power', 'practice', 'present', 'price', 'private', 'problem', 'process', 'program',
+    'project', 'property', 'public', 'quality', 'question', 'quick', 'quite', 'rapid', 'ready', 'real',
+    'reason', 'record', 'report', 'research', 'resource', 'result', 'return', 'review', 'room', 'rule',
+    'safety', 'said', 'school', 'science', 'season', 'security', 'shop', 'shopping', 'short', 'simple',
+    'single', 'small', 'smart', 'social', 'society', 'space', 'special', 'sport', 'staff', 'stage',
+    'standard', 'start', 'startup', 'state', 'station', 'status', 'store', 'student', 'study', 'success',
+    'summer', 'support', 'table', 'teacher', 'team', 'television', 'test', 'theory', 'there', 'thing',
+    'together', 'town', 'trade', 'training', 'travel', 'treatment', 'trip', 'truck', 'type', 'under',
+    'understand', 'union', 'university', 'value', 'video', 'village', 'voice', 'wait', 'water', 'wealth',
+    'weather', 'wedding', 'week', 'weight', 'where', 'white', 'whole', 'window', 'woman',
+    'world', 'write', 'year', 'young'
+];
+
+// Operator mappings (operator-mappings.json), set by the page before generating
+let operatorMappings = null;
+
+// Unknown placeholders already reported, so each is only logged once
+const warnedPlaceholders = new Set();
+
+// Random number generator for idea generation: Math.random, or a seeded
+// generator (see createSeededRandom()) when the session has a seed
+let rng = Math.random;
+
+// Built-in phase model, used when operator-mappings.json doesn't define "phaseModel"
+const DEFAULT_PHASE_MODEL = {
+    phases: [
+        { key: 'exploration', name: 'Exploration', color: '#667eea', stepRange: [0, 3], preferredDifficulty: 'low',
+          description: 'Expansive thinking - exploring broad possibilities' },
+        { key: 'refinement', name: 'Refinement', color: '#764ba2', stepRange: [4, 7], preferredDifficulty: 'medium',
+          description: 'Focused refinement - making ideas concrete' },
+        { key: 'validation', name: 'Validation', color: '#4caf50', stepRange: [8, null], preferredDifficulty: 'high',
+          description: 'Executable validation - ensuring ideas are actionable' }
+    ],
+    advanceRules: [{ type: 'steps' }]
+};
+const DEFAULT_PHASE_MATCH_BONUS = 10; // Score bonus for operators tagged with the current phase
+const DEFAULT_ADJACENT_PHASE_BONUS = 2; // Score bonus for operators tagged with a neighbouring phase
+const DEFAULT_DIFFICULTY_BONUS = 2; // Score bonus for operators with the phase's preferred difficulty
+const DEFAULT_SIBLINGS_PER_PHASE = 3; // Alternatives explored per phase for the "siblings" advance rule
+
+// Phase advance rules: each returns the order of the phase it thinks a branch has reached
+// The furthest phase reached by any configured rule wins (see determinePhaseForNode())
+const PHASE_ADVANCE_RULES = {
+    // Advance through the phases' step ranges as the path gets longer
+    steps: (node) => PHASES[determinePhaseFromSteps(getNodeDepth(node) + 1)].order,
+    // Advance one phase for every few alternatives explored along the path
+    siblings: (node, rule) => {
+        let explored = node.children.length;
+        for (let ancestor = node; ancestor && ancestor.parent; ancestor = ancestor.parent) {
+            explored += ancestor.parent.children.length - 1;
+        }
+        return Math.floor(explored / (rule.perPhase || DEFAULT_SIBLINGS_PER_PHASE));
+    }
+};
+
+// Phase configuration, keyed by upper-case phase key (built by applyPhaseModel())
+let PHASES = {};
+let phaseAdvanceRules = [];
+applyPhaseModel(DEFAULT_PHASE_MODEL);
+
+/**
+ * Build PHASES from a phase model definition
+ * Phases are ordered as listed; a stepRange end of null means "and beyond"
+ */
+function applyPhaseModel(model) {
+    PHASES = {};
+    model.phases.forEach((phase, index) => {
+        PHASES[phase.key.toUpperCase()] = {
+            name: phase.name,
+            color: phase.color || '#667eea',
+            description: phase.description || '',
+            stepRange: [phase.stepRange[0], phase.stepRange[1] === null ? Infinity : phase.stepRange[1]],
+            order: index,
+            preferredDifficulty: phase.preferredDifficulty || null,
+            matchBonus: phase.matchBonus !== undefined ? phase.matchBonus : DEFAULT_PHASE_MATCH_BONUS,
+            adjacentBonus: phase.adjacentBonus !== undefined ? phase.adjacentBonus : DEFAULT_ADJACENT_PHASE_BONUS,
+            difficultyBonus: phase.difficultyBonus !== undefined ? phase.difficultyBonus : DEFAULT_DIFFICULTY_BONUS
+        };
+    });
+    phaseAdvanceRules = model.advanceRules || DEFAULT_PHASE_MODEL.advanceRules;
+}
+
+/**
+ * Check that a phase model from operator-mappings.json is usable
+ */
+function isValidPhaseModel(model) {
+    return Boolean(model) && Array.isArray(model.phases) && model.phases.length > 0 &&
+        model.phases.every(phase => phase && typeof phase.key === 'string' && typeof phase.name === 'string' &&
+            Array.isArray(phase.stepRange) && typeof phase.stepRange[0] === 'number') &&
+        (model.advanceRules === undefined || (Array.isArray(model.advanceRules) &&
+            model.advanceRules.every(rule => rule && PHASE_ADVANCE_RULES.hasOwnProperty(rule.type))));
+}
+
+/**
+ * Get the key of the first phase (where every session starts)
+ */
+function getFirstPhaseKey() {
+    return Object.keys(PHASES)[0];
+}
+
+/**
+ * Get phase order difference (for adjacency calculation)
+ * Returns Infinity if either phase isn't part of the phase model
+ */
+function getPhaseOrderDiff(phase1, phase2) {
+    if (!PHASES[phase1] || !PHASES[phase2]) {
+        return Infinity;
+    }
+    return Math.abs(PHASES[phase1].order - PHASES[phase2].order);
+}
+
+// Context object to store domain and history tree (the app's session, or the
+// editor's sample path); path nodes need choice, parent and children
+const context = {
+    domain: '',
+    rootNode: null,      // Root of the history tree
+    currentNode: null,   // Current position in the tree
+    currentPhase: getFirstPhaseKey(),  // Current phase key (see PHASES)
+    manualPhaseOverride: null,   // Manual phase override at the current node (null if auto-advancing)
+    seed: '',            // Optional seed for reproducible options ('' = random)
+    selectedCategories: null,    // Category names chosen for the session (null = detected from the domain)
+    genericRatio: null           // Share of general (default) operators (null = GENERIC_TEMPLATE_RATIO)
+};
+
+// Operator usage tracking for frequency-based biasing
+const operatorUsageCount = {};
+
+/**
+ * Get current path from root to current node
+ */
+function getCurrentPath() {
+    return getCurrentPathNodes().map(node => node.choice);
+}
+
+/**
+ * Get the nodes on the path from root to current node
+ */
+function getCurrentPathNodes() {
+    const pathNodes = [];
+    let node = context.currentNode;
+    
+    while (node !== null) {
+        pathNodes.unshift(node);
+        node = node.parent;
+    }
+    
+    return pathNodes;
+}
+
+/**
+ * Determine the natural phase for a step count from the phases' step ranges
+ * Returns the phase key (see PHASES)
+ * @param {number} stepCount - The step count to determine phase for
+ */
+function determinePhaseFromSteps(stepCount) {
+    let latestStartedPhase = getFirstPhaseKey();
+    for (const [phaseKey, phaseData] of Object.entries(PHASES)) {
+        const [minStep, maxStep] = phaseData.stepRange;
+        if (stepCount >= minStep && stepCount <= maxStep) {
+            return phaseKey;
+        }
+        if (stepCount >= minStep) {
+            latestStartedPhase = phaseKey;
+        }
+    }
+    
+    // Gaps between step ranges keep the latest phase that has started
+    return latestStartedPhase;
+}
+
+/**
+ * Get the number of choices above a node (0 for the root)
+ */
+function getNodeDepth(node) {
+    let depth = 0;
+    for (let ancestor = node.parent; ancestor; ancestor = ancestor.parent) {
+        depth++;
+    }
+    return depth;
+}
+
+/**
+ * Hash a string into a 32-bit unsigned integer (FNV-1a)
+ */
+function hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Create a seeded pseudo-random generator (mulberry32) with the same
+ * contract as Math.random: each call returns a float in [0, 1)
+ */
+function createSeededRandom(seed) {
+    let state = hashString(String(seed));
+    return function() {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Point rng at the generator for the current step: seeded from the session
+ * seed, domain and path when the session has a seed, Math.random otherwise.
+ * When an operator in the pool uses {sibling}, the alternatives it can pick
+ * from are part of the key too
+ * @param {number} shuffleCount - Times the step's options were shuffled
+ */
+function seedRandomForCurrentStep(shuffleCount = 0) {
+    if (!context.seed) {
+        rng = Math.random;
+        return;
+    }
+    // Separator can't appear in typed text, so paths can't collide by concatenation
+    const pathKey = getCurrentPath().join('\u0000');
+    // Unshuffled steps keep the original key, so existing seeds give the same options
+    const shuffleKey = shuffleCount > 0 ? `\u0000#${shuffleCount}` : '';
+    // Sorted, so exploring the same alternatives in another order gives the same options
+    const usesSibling = getTemplatesForDomain().some(template => getTemplateKey(template).includes('{sibling}'));
+    const siblingKey = usesSibling ? `\u0000~${getContextPlaceholderCandidates('sibling', getCurrentPathNodes()).join('\u0000')}` : '';
+    rng = createSeededRandom(`${context.seed}\u0000${context.domain}\u0000${pathKey}${shuffleKey}${siblingKey}`);
+}
+
+/**
+ * Generate creative options based on current context
+ * @param {number} count - Number of options to generate
+ * @param {Object[]} keptOptions - Options already on screen (pinned); not repeated
+ * @param {Object} dismissedCounts - Times each operator was shuffled away, by template key
+ */
+function generateOptions(count, keptOptions = [], dismissedCounts = {}) {
+    const options = [];
+    const templates = getTemplatesForDomain();
+    
+    // Generate unique options (prevent duplicates)
+    let attempts = 0;
+    const maxAttempts = count * MAX_ATTEMPTS_MULTIPLIER;
+    const usedTemplates = new Set(keptOptions.map(opt => opt.templateKey).filter(Boolean));
+    
+    while (options.length < count && attempts < maxAttempts) {
+        const selectedTemplate = selectWeightedTemplate(templates, usedTemplates, dismissedCounts);
+        if (selectedTemplate) {
+            const resolvedValues = {};
+            const option = generateSingleOption([selectedTemplate], resolvedValues);
+            // Check for duplicate generated text
+            if (!options.some(opt => opt.text === option) && !keptOptions.some(opt => opt.text === option)) {
+                const templateKey = getTemplateKey(selectedTemplate);
+                options.push({
+                    text: option,
+                    template: selectedTemplate,
+                    templateKey: templateKey,
+                    resolvedValues: resolvedValues
+                });
+                usedTemplates.add(templateKey);
+            }
+        }
+        attempts++;
+    }
+    
+    // Rank options before returning
+    const rankedOptions = rankOptions(options);
+    
+    // Return objects with text, templateKey (for usage tracking) and provenance (stored on the chosen node)
+    return rankedOptions.map(opt => {
+        const operator = normalizeOperator(opt.template);
+        return {
+            text: opt.text,
+            templateKey: opt.templateKey,
+            provenance: {
+                source: 'generated',
+                operator: operator.text,
+                category: operator.category,
+                difficulty: operator.difficulty,
+                operatorPhase: operator.phase,
+                slots: opt.resolvedValues
+            }
+        };
+    });
+}
+
+/**
+ * Normalize operator to a standard format
+ * Supports both string operators and object operators with metadata
+ */
+function normalizeOperator(operator) {
+    if (typeof operator === 'string') {
+        // Backward compatibility: string operators get default values
+        return {
+            text: operator,
+            weight: 1.0,
+            difficulty: 'medium',
+            phase: getFirstPhaseKey().toLowerCase(),
+            category: null,
+            blend: 1
+        };
+    }
+    // Object operator: fill in missing fields with defaults
+    return {
+        text: operator.text,
+        weight: operator.weight !== undefined ? operator.weight : 1.0,
+        difficulty: operator.difficulty || 'medium',
+        phase: operator.phase || getFirstPhaseKey().toLowerCase(),
+        category: operator.category || null,  // Category the operator came from (for category slots)
+        blend: operator.blend !== undefined ? operator.blend : 1  // Weight multiplier from category blending
+    };
+}
+
+/**
+ * Get a unique key for a template (handles both string and object templates)
+ */
+function getTemplateKey(template) {
+    if (typeof template === 'string') {
+        return template;
+    }
+    return template.text;
+}
+
+/**
+ * Select a template using weighted random selection with frequency bias
+ * and a lighter bias against operators the user shuffled away
+ */
+function selectWeightedTemplate(templates, usedTemplates, dismissedCounts = {}) {
+    if (templates.length === 0) return null;
+    
+    // Normalize all templates
+    const normalizedTemplates = templates.map(normalizeOperator);
+    
+    // Filter out already used templates
+    const availableTemplates = normalizedTemplates.filter(t => 
+        !usedTemplates.has(t.text)
+    );
+    
+    // If all templates used, allow reuse but still apply weighting
+    const templatesToUse = availableTemplates.length > 0 ? availableTemplates : normalizedTemplates;
+    
+    // Calculate weights with frequency bias
+    const usageCounts = getOperatorUsageCounts();
+    const weightedTemplates = templatesToUse.map(template => ({
+        template: template,
+        weight: getEffectiveWeight(template, dismissedCounts, usageCounts)
+    }));
+    
+    // Calculate total weight
+    const totalWeight = weightedTemplates.reduce((sum, wt) => sum + wt.weight, 0);
+    
+    // Edge case: if all weights are 0, use uniform random selection
+    if (totalWeight === 0) {
+        const randomIndex = Math.floor(rng() * weightedTemplates.length);
+        return weightedTemplates[randomIndex].template;
+    }
+    
+    // Select using weighted random
+    let random = rng() * totalWeight;
+    for (const wt of weightedTemplates) {
+        random -= wt.weight;
+        if (random < 0) {  // Use < instead of <= to avoid floating-point precision issues
+            return wt.template;
+        }
+    }
+    
+    // Fallback to last template (should rarely happen)
+    return weightedTemplates[weightedTemplates.length - 1].template;
+}
+
+/**
+ * Get the weight an operator is picked with: its own weight, lowered for
+ * operators used often in the session and for operators shuffled away
+ * @param {Object} template - Normalized operator (see normalizeOperator())
+ * @param {Object} dismissedCounts - Times each operator was shuffled away, by template key
+ * @param {Object} usageCounts - Times each operator was chosen (see getOperatorUsageCounts())
+ */
+function getEffectiveWeight(template, dismissedCounts = {}, usageCounts = getOperatorUsageCounts()) {
+    const usageCount = usageCounts[template.text] || 0;
+    // Frequency bias: reduce weight for frequently used operators
+    // Formula: weight / (1 + usageCount * FREQUENCY_BIAS_FACTOR)
+    const frequencyBias = 1 / (1 + usageCount * FREQUENCY_BIAS_FACTOR);
+    // Same shape for dismissals: each shuffle that replaced the operator lowers its weight
+    const dismissCount = dismissedCounts[template.text] || 0;
+    const dismissBias = 1 / (1 + dismissCount * DISMISS_BIAS_FACTOR);
+    return template.weight * template.blend * frequencyBias * dismissBias;
+}
+
+/**
+ * Get how often each operator was chosen, by template key
+ * Seeded sessions only count the choices on the current path, so the same
+ * seed, domain and path give the same options however much of the tree was
+ * explored in between
+ */
+function getOperatorUsageCounts() {
+    if (!context.seed) {
+        return operatorUsageCount;
+    }
+    
+    const counts = {};
+    getCurrentPathNodes().forEach(node => {
+        const provenance = node.provenance;
+        if (provenance && provenance.source === 'generated' && provenance.operator) {
+            counts[provenance.operator] = (counts[provenance.operator] || 0) + 1;
+        }
+    });
+    return counts;
+}
+
+/**
+ * Rank generated options by relevance and quality
+ */
+function rankOptions(options) {
+    const usageCounts = getOperatorUsageCounts();
+    return options.sort((a, b) => {
+        const templateA = normalizeOperator(a.template);
+        const templateB = normalizeOperator(b.template);
+        
+        // Calculate scores for each option
+        const scoreA = calculateOptionScore(templateA, a.templateKey, usageCounts);
+        const scoreB = calculateOptionScore(templateB, b.templateKey, usageCounts);
+        
+        // Higher scores come first
+        return scoreB - scoreA;
+    });
+}
+
+/**
+ * Calculate a relevance score for an option
+ */
+function calculateOptionScore(template, templateKey, usageCounts = getOperatorUsageCounts()) {
+    let score = 0;
+    
+    // Base score from weight (higher weight = higher priority)
+    score += template.weight * 10;
+    
+    // Frequency bonus: less used operators get a boost
+    const usageCount = usageCounts[templateKey] || 0;
+    score += Math.max(0, 5 - usageCount);
+    
+    // Phase-based scoring (strongly prefer operators matching current phase)
+    const currentPhase = context.currentPhase;
+    const templatePhase = (template.phase || getFirstPhaseKey()).toUpperCase();
+    
+    const phaseDiff = getPhaseOrderDiff(currentPhase, templatePhase);
+    const phaseData = PHASES[currentPhase];
+    
+    if (phaseDiff === 0) {
+        score += phaseData.matchBonus; // Strong bonus for exact phase match
+    } else if (phaseDiff === 1) {
+        score += phaseData.adjacentBonus; // Small bonus for adjacent phase
+    }
+    
+    // Difficulty-based scoring (progressive difficulty aligned with phases)
+    if (phaseData.preferredDifficulty && template.difficulty === phaseData.preferredDifficulty) {
+        score += phaseData.difficultyBonus;
+    }
+    
+    return score;
+}
+
+/**
+ * Generate a single option using templates and randomization
+ * @param {Array} templates - Array containing exactly one template
+ * @param {Object} resolvedValues - Filled with the slot and context placeholder values used (optional)
+ */
+function generateSingleOption(templates, resolvedValues = {}) {
+    // Precondition: templates array should contain exactly one template
+    if (!templates || templates.length === 0) {
+        console.error('generateSingleOption called with empty templates array');
+        return 'Generate new option';
+    }
+    
+    const template = templates[0];
+    const normalized = normalizeOperator(template);
+    
+    // Fill vocabulary slots first ({target}, {number}, category slots, ...),
+    // so slot values may themselves use context placeholders like {domain}
+    let option = resolveSlots(normalized.text, normalized.category, resolvedValues);
+    
+    // Replace {domain}, {last}, {first}, {step:N}, ... from the current path
+    option = resolveContextPlaceholders(option, resolvedValues);
+    
+    return option;
+}
+
+/**
+ * Check whether a placeholder name is a context placeholder
+ */
+function isContextPlaceholder(name) {
+    return new RegExp(`^${CONTEXT_PLACEHOLDER_PATTERN.source}$`).test(`{${name}}`);
+}
+
+/**
+ * Get the possible values of a context placeholder at the current node
+ * An empty array means the placeholder can't be filled here
+ * @param {string} name - Placeholder name without braces (e.g. 'prev', 'step:2')
+ * @param {Array} pathNodes - Nodes from root to current node
+ */
+function getContextPlaceholderCandidates(name, pathNodes) {
+    const lastNode = pathNodes[pathNodes.length - 1];
+    
+    const stepMatch = /^step:(\d+)$/.exec(name);
+    if (stepMatch) {
+        const step = parseInt(stepMatch[1], 10);
+        return step >= 1 && step <= pathNodes.length ? [pathNodes[step - 1].choice] : [];
+    }
+    
+    switch (name) {
+        case 'domain':
+            return [context.domain];
+        case 'last':
+            // Before the first choice, the domain itself is the last idea
+            return [lastNode ? lastNode.choice : context.domain];
+        case 'first':
+            return pathNodes.length > 0 ? [pathNodes[0].choice] : [];
+        case 'prev':
+            return pathNodes.length > 1 ? [pathNodes[pathNodes.length - 2].choice] : [];
+        case 'random_ancestor':
+            // Any earlier idea on the path (excluding the last one)
+            return pathNodes.slice(0, -1).map(node => node.choice);
+        case 'sibling':
+            // Alternatives explored from the same parent as the last idea, sorted so
+            // seeded picks don't depend on the order they were explored in
+            return lastNode && lastNode.parent
+                ? lastNode.parent.children.filter(node => node !== lastNode).map(node => node.choice).sort()
+                : [];
+        default:
+            return [];
+    }
+}
+
+/**
+ * Check that every context placeholder in a template can be filled at the current node
+ */
+function canResolveContextPlaceholders(text) {
+    const pathNodes = getCurrentPathNodes();
+    const matches = text.match(CONTEXT_PLACEHOLDER_PATTERN) || [];
+    return matches.every(match => getContextPlaceholderCandidates(match.slice(1, -1), pathNodes).length > 0);
+}
+
+/**
+ * Replace context placeholders with ideas from the current path and tree
+ * Repeated placeholders get the same value; placeholders that can't be filled
+ * (e.g. {prev} arriving through a slot value at step 1) fall back to {last}
+ * @param {string} text - Text containing placeholders
+ * @param {Object} resolvedValues - Filled with the value chosen for each placeholder (optional)
+ */
+function resolveContextPlaceholders(text, resolvedValues = {}) {
+    const pathNodes = getCurrentPathNodes();
+    const chosenValues = {};
+    
+    return text.replace(CONTEXT_PLACEHOLDER_PATTERN, (match, name) => {
+        if (chosenValues[name] === undefined) {
+            let candidates = getContextPlaceholderCandidates(name, pathNodes);
+            if (candidates.length === 0) {
+                candidates = getContextPlaceholderCandidates('last', pathNodes);
+            }
+            chosenValues[name] = candidates.length === 1
+                ? candidates[0]
+                : candidates[Math.floor(rng() * candidates.length)];
+            resolvedValues[name] = chosenValues[name];
+        }
+        return chosenValues[name];
+    });
+}
+
+/**
+ * Look up a slot definition: the operator's category slots take
+ * precedence over the global slots in operator-mappings.json
+ */
+function getSlotDefinition(name, category) {
+    const categoryData = category && operatorMappings.categories[category];
+    if (categoryData && categoryData.slots && categoryData.slots[name] !== undefined) {
+        return categoryData.slots[name];
+    }
+    if (operatorMappings.slots && operatorMappings.slots[name] !== undefined) {
+        return operatorMappings.slots[name];
+    }
+    return null;
+}
+
+/**
+ * Pick a raw value for a slot definition
+ * Supports value lists (plain strings or { value, weight } objects) and
+ * integer ranges ({ range: [min, max] }); returns null for invalid definitions
+ */
+function pickSlotValue(definition) {
+    if (Array.isArray(definition)) {
+        const entries = definition.map(entry => (typeof entry === 'object' && entry !== null)
+            ? { value: String(entry.value), weight: entry.weight !== undefined ? entry.weight : 1 }
+            : { value: String(entry), weight: 1 });
+        const totalWeight = entries.reduce((sum, entry) => sum + Math.max(0, entry.weight), 0);
+        if (totalWeight === 0) return null;
+        
+        let random = rng() * totalWeight;
+        for (const entry of entries) {
+            random -= Math.max(0, entry.weight);
+            if (random < 0) {
+                return entry.value;
+            }
+        }
+        return entries[entries.length - 1].value;
+    }
+    
+    if (definition && Array.isArray(definition.range)) {
+        const [min, max] = definition.range;
+        return String(Math.floor(rng() * (max - min + 1)) + min);
+    }
+    
+    return null;
+}
+
+/**
+ * Replace {slot} placeholders with values from the slot vocabulary
+ * Repeated placeholders get the same value; slot values may contain
+ * further slots, resolved up to MAX_SLOT_DEPTH levels deep
+ * @param {string} text - Text containing placeholders
+ * @param {string|null} category - Category of the operator (for category slots)
+ * @param {Object} resolvedValues - Filled with the value chosen for each slot (optional)
+ * @param {number} depth - Current nesting depth (internal)
+ */
+function resolveSlots(text, category, resolvedValues = {}, depth = 0) {
+    const chosenValues = {};
+    
+    return text.replace(/{([a-zA-Z_][\w-]*)}/g, (match, name) => {
+        // Context placeholders are filled later from the session
+        if (isContextPlaceholder(name)) {
+            return match;
+        }
+        
+        if (chosenValues[name] === undefined) {
+            const definition = getSlotDefinition(name, category);
+            const value = definition !== null ? pickSlotValue(definition) : null;
+            
+            if (value === null) {
+                if (!warnedPlaceholders.has(name)) {
+                    warnedPlaceholders.add(name);
+                    console.warn(`Unknown or empty slot {${name}} in "${text}"`);
+                }
+                // Show the bare name rather than leaking braces into the UI
+                chosenValues[name] = name.replace(/_/g, ' ');
+            } else if (depth < MAX_SLOT_DEPTH) {
+                chosenValues[name] = resolveSlots(value, category, resolvedValues, depth + 1);
+            } else {
+                chosenValues[name] = value.replace(/{([a-zA-Z_][\w-]*)}/g, '$1');
+            }
+            resolvedValues[name] = chosenValues[name];
+        }
+        
+        return chosenValues[name];
+    });
+}
+
+/**
+ * Validate parsed operator mappings (operator-mappings.json)
+ * Errors make the file unusable (wrong shape, newer schema version); warnings
+ * are lint findings the engine tolerates but that likely aren't intended.
+ * Messages start with the path of the offending value
+ * @returns {{ errors: string[], warnings: string[] }}
+ */
+function validateOperatorMappings(mappings) {
+    const errors = [];
+    const warnings = [];
+    
+    if (!mappings || typeof mappings !== 'object' || Array.isArray(mappings)) {
+        return { errors: ['The file must contain a JSON object'], warnings };
+    }
+    
+    // Files from before the schema was versioned are read as the first version
+    if (mappings.schemaVersion !== undefined) {
+        if (!Number.isInteger(mappings.schemaVersion) || mappings.schemaVersion < 1) {
+            errors.push('schemaVersion must be a positive whole number');
+        } else if (mappings.schemaVersion > MAPPINGS_SCHEMA_VERSION) {
+            errors.push(`schemaVersion ${mappings.schemaVersion} is newer than this version of the app supports (${MAPPINGS_SCHEMA_VERSION})`);
+        }
+    }
+    
+    let phases = DEFAULT_PHASE_MODEL.phases;
+    if (mappings.phaseModel !== undefined) {
+        if (isValidPhaseModel(mappings.phaseModel)) {
+            phases = mappings.phaseModel.phases;
+        } else {
+            warnings.push('phaseModel is invalid, so the built-in phases are used');
+        }
+    }
+    const phaseKeys = phases.map(phase => phase.key.toLowerCase());
+    
+    validateSlots(mappings.slots, 'slots', errors);
+    
+    if (!mappings.categories || typeof mappings.categories !== 'object' || Array.isArray(mappings.categories)) {
+        errors.push('categories must be an object');
+        return { errors, warnings };
+    }
+    if (!mappings.categories.default) {
+        warnings.push('categories: there is no "default" category, so domains that match no keyword get no options');
+    }
+    
+    // First path each operator text and keyword was seen at, to report duplicates
+    const operatorPaths = new Map();
+    const keywordPaths = new Map();
+    
+    for (const [categoryName, category] of Object.entries(mappings.categories)) {
+        const path = `categories.${categoryName}`;
+        if (!category || typeof category !== 'object' || Array.isArray(category)) {
+            errors.push(`${path} must be an object`);
+            continue;
+        }
+        
+        validateSlots(category.slots, `${path}.slots`, errors);
+        
+        if (!Array.isArray(category.keywords)) {
+            errors.push(`${path}.keywords must be an array`);
+        } else {
+            category.keywords.forEach((keyword, index) => {
+                lintKeyword(keyword, `${path}.keywords[${index}]`, keywordPaths, errors, warnings);
+            });
+        }
+        
+        if (!Array.isArray(category.operators)) {
+            errors.push(`${path}.operators must be an array`);
+            continue;
+        }
+        const knownSlots = { ...(isPlainObject(mappings.slots) ? mappings.slots : {}), ...(isPlainObject(category.slots) ? category.slots : {}) };
+        category.operators.forEach((operator, index) => {
+            lintOperator(operator, `${path}.operators[${index}]`, { phaseKeys, knownSlots, operatorPaths }, errors, warnings);
+        });
+        
+        // Slot values may use placeholders too
+        if (isPlainObject(category.slots)) {
+            lintSlotPlaceholders(category.slots, `${path}.slots`, knownSlots, warnings);
+        }
+    }
+    if (isPlainObject(mappings.slots)) {
+        lintSlotPlaceholders(mappings.slots, 'slots', mappings.slots, warnings);
+    }
+    
+    return { errors, warnings };
+}
+
+/**
+ * Check whether a value is a plain (non-array) object
+ */
+function isPlainObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Check the shape of a slots object: value lists or { range: [min, max] }
+ */
+function validateSlots(slots, path, errors) {
+    if (slots === undefined) return;
+    if (!isPlainObject(slots)) {
+        errors.push(`${path} must be an object`);
+        return;
+    }
+    
+    for (const [name, definition] of Object.entries(slots)) {
+        if (Array.isArray(definition)) {
+            definition.forEach((entry, index) => {
+                const value = isPlainObject(entry) ? entry.value : entry;
+                if (typeof value !== 'string' && typeof value !== 'number') {
+                    errors.push(`${path}.${name}[${index}] must be a string, a number or { "value": ..., "weight": ... }`);
+                } else if (isPlainObject(entry) && entry.weight !== undefined && !(typeof entry.weight === 'number' && entry.weight >= 0)) {
+                    errors.push(`${path}.${name}[${index}].weight must be a number of 0 or more`);
+                }
+            });
+        } else if (isPlainObject(definition) && Array.isArray(definition.range)) {
+            const [min, max] = definition.range;
+            if (!Number.isInteger(min) || !Number.isInteger(max) || min > max) {
+                errors.push(`${path}.${name}.range must be two whole numbers [min, max] with min ≤ max`);
+            }
+        } else {
+            errors.push(`${path}.${name} must be a list of values or { "range": [min, max] }`);
+        }
+    }
+}
+
+/**
+ * Check a category keyword: shape, duplicates and everyday words it matches at full weight
+ */
+function lintKeyword(keyword, path, keywordPaths, errors, warnings) {
+    const isObject = isPlainObject(keyword);
+    const text = isObject ? keyword.text : keyword;
+    if (typeof text !== 'string' || !text.trim()) {
+        errors.push(`${path} must be a non-empty string or an object with "text"`);
+        return;
+    }
+    
+    const { weight, synonyms } = normalizeKeyword(keyword);
+    if (typeof weight !== 'number' || !isFinite(weight) || weight <= 0) {
+        errors.push(`${path}.weight must be a number above 0`);
+        return;
+    }
+    if (isObject && keyword.synonyms !== undefined &&
+        !(Array.isArray(keyword.synonyms) && keyword.synonyms.every(synonym => typeof synonym === 'string' && synonym.trim()))) {
+        errors.push(`${path}.synonyms must be a list of non-empty strings`);
+        return;
+    }
+    
+    // Keywords and synonyms match by stems, so "story" and "stories" count as the same keyword
+    [text, ...synonyms].forEach(phrase => {
+        const key = getStems(phrase).join(' ');
+        if (keywordPaths.has(key)) {
+            warnings.push(`${path}: keyword "${phrase}" duplicates ${keywordPaths.get(key)}`);
+        } else {
+            keywordPaths.set(key, path);
+        }
+    });
+    
+    if (weight >= 1) {
+        const stems = [text, ...synonyms].map(phrase => getStems(phrase).join(' '));
+        const common = COMMON_WORDS.filter(word => stems.includes(stemWord(word)));
+        if (common.length > 0) {
+            const examples = common.slice(0, COMMON_WORD_EXAMPLES).map(word => `"${word}"`).join(', ');
+            warnings.push(`${path}: keyword "${text}" matches the everyday word${common.length === 1 ? '' : 's'} ${examples}; give it a weight below 1 so it doesn't outweigh more specific keywords`);
+        }
+    }
+}
+
+/**
+ * Check an operator: shape, duplicates, weight range, phase, difficulty and placeholders
+ * @param {Object} lint - { phaseKeys, knownSlots, operatorPaths }
+ */
+function lintOperator(operator, path, lint, errors, warnings) {
+    if (typeof operator !== 'string' && !(isPlainObject(operator) && typeof operator.text === 'string')) {
+        errors.push(`${path} must be a string or an object with "text"`);
+        return;
+    }
+    
+    const text = getTemplateKey(operator);
+    if (!text.trim()) {
+        errors.push(`${path} must not be empty`);
+        return;
+    }
+    
+    const key = text.trim().toLowerCase();
+    if (lint.operatorPaths.has(key)) {
+        warnings.push(`${path}: "${text}" duplicates ${lint.operatorPaths.get(key)}`);
+    } else {
+        lint.operatorPaths.set(key, path);
+    }
+    
+    if (isPlainObject(operator)) {
+        const [minWeight, maxWeight] = OPERATOR_WEIGHT_RANGE;
+        if (operator.weight !== undefined) {
+            if (typeof operator.weight !== 'number' || !isFinite(operator.weight)) {
+                errors.push(`${path}.weight must be a number`);
+            } else if (operator.weight < minWeight || operator.weight > maxWeight) {
+                warnings.push(`${path}.weight ${operator.weight} is outside the usual range ${minWeight}–${maxWeight}`);
+            }
+        }
+        if (operator.difficulty !== undefined && !OPERATOR_DIFFICULTIES.includes(operator.difficulty)) {
+            warnings.push(`${path}.difficulty "${operator.difficulty}" is not one of ${OPERATOR_DIFFICULTIES.join(', ')}`);
+        }
+        if (operator.phase !== undefined &&
+            (typeof operator.phase !== 'string' || !lint.phaseKeys.includes(operator.phase.toLowerCase()))) {
+            warnings.push(`${path}.phase "${operator.phase}" is not a phase of the phase model (${lint.phaseKeys.join(', ')})`);
+        }
+    }
+    
+    getUnknownPlaceholders(text, lint.knownSlots).forEach(name => {
+        warnings.push(`${path}: unknown placeholder {${name}} in "${text}"`);
+    });
+}
+
+/**
+ * Report placeholders in slot values that no slot defines
+ */
+function lintSlotPlaceholders(slots, path, knownSlots, warnings) {
+    for (const [name, definition] of Object.entries(slots)) {
+        if (!Array.isArray(definition)) continue;
+        definition.forEach((entry, index) => {
+            const value = String(isPlainObject(entry) ? entry.value : entry);
+            getUnknownPlaceholders(value, knownSlots).forEach(placeholder => {
+                warnings.push(`${path}.${name}[${index}]: unknown placeholder {${placeholder}} in "${value}"`);
+            });
+        });
+    }
+}
+
+/**
+ * Get the placeholders in a text that are neither context placeholders nor known slots
+ */
+function getUnknownPlaceholders(text, knownSlots) {
+    const unknown = [];
+    for (const [, name] of text.matchAll(/{([a-zA-Z_][\w-]*)}/g)) {
+        if (!isContextPlaceholder(name) && knownSlots[name] === undefined && !unknown.includes(name)) {
+            unknown.push(name);
+        }
+    }
+    return unknown;
+}
+
+/**
+ * Split text into lower-case words (hyphenated words like "sci-fi" stay whole)
+ */
+function tokenize(text) {
+    return String(text).toLowerCase().match(/[\p{L}\p{N}]+(?:['-][\p{L}\p{N}]+)*/gu) || [];
+}
+
+/**
+ * Reduce a word to a rough stem so plurals and verb forms match each other
+ * ("stories" → "story", "games"/"gaming" → "gam", "designer" → "design")
+ * Not a full stemmer: both keywords and domains go through it, so it only
+ * has to be consistent
+ */
+function stemWord(word) {
+    if (word.length <= MIN_STEM_LENGTH) {
+        return word;
+    }
+    
+    // Plurals
+    let stem = word;
+    if (stem.endsWith('ies')) {
+        stem = stem.slice(0, -3) + 'y';
+    } else if (/(ss|x|z|ch|sh)es$/.test(stem)) {
+        stem = stem.slice(0, -2);
+    } else if (/[^su]s$/.test(stem) && !stem.endsWith('is')) {
+        stem = stem.slice(0, -1);
+    }
+    
+    // Verb and agent endings, keeping at least a short stem (cooking, designed, player)
+    const ending = ['ing', 'ed', 'er'].find(suffix => stem.endsWith(suffix) && stem.length - suffix.length >= MIN_STEM_LENGTH);
+    if (ending) {
+        stem = stem.slice(0, -ending.length);
+        // Doubled consonant before the ending (programming → program)
+        if (/([^aeiouslfz])\1$/.test(stem)) {
+            stem = stem.slice(0, -1);
+        }
+    }
+    
+    // Silent e, so "game" meets "gaming"
+    if (stem.endsWith('e') && stem.length > MIN_STEM_LENGTH) {
+        stem = stem.slice(0, -1);
+    }
+    return stem;
+}
+
+/**
+ * Get the stems of the words in a text
+ */
+function getStems(text) {
+    return tokenize(text).map(stemWord);
+}
+
+/**
+ * Normalize a category keyword: a string, or { text, weight, synonyms }
+ */
+function normalizeKeyword(keyword) {
+    if (typeof keyword === 'string') {
+        return { text: keyword, weight: 1, synonyms: [] };
+    }
+    return {
+        text: keyword.text,
+        weight: keyword.weight !== undefined ? keyword.weight : 1,
+        synonyms: Array.isArray(keyword.synonyms) ? keyword.synonyms : []
+    };
+}
+
+/**
+ * Find a phrase's stems as consecutive words in the domain's stems, skipping
+ * words already taken by another keyword
+ * @param {boolean[]} taken - Domain word positions already matched
+ * @returns {number} Position of the first word, or -1
+ */
+function findPhrase(domainStems, phraseStems, taken) {
+    if (phraseStems.length === 0) return -1;
+    for (let start = 0; start + phraseStems.length <= domainStems.length; start++) {
+        if (phraseStems.every((stem, offset) => !taken[start + offset] && domainStems[start + offset] === stem)) {
+            return start;
+        }
+    }
+    return -1;
+}
+
+/**
+ * Get the keywords of a category found in a domain
+ * Keywords and their synonyms match whole words, ignoring case, plurals and verb
+ * endings. Longer phrases match first and each domain word counts for one keyword
+ * only, so "science fiction" matches the synonym of "sci-fi" but not "fiction" too
+ * @returns {Object[]} Matched keywords (see normalizeKeyword())
+ */
+function getMatchedKeywords(categoryData, domain) {
+    const domainStems = getStems(domain);
+    const keywords = categoryData.keywords.map(normalizeKeyword);
+    const phrases = keywords
+        .flatMap(keyword => [keyword.text, ...keyword.synonyms].map(phrase => ({ keyword, stems: getStems(phrase) })))
+        .sort((a, b) => b.stems.length - a.stems.length);
+    
+    const taken = [];
+    const matched = new Set();
+    phrases.forEach(({ keyword, stems }) => {
+        if (matched.has(keyword)) return;
+        const start = findPhrase(domainStems, stems, taken);
+        if (start !== -1) {
+            stems.forEach((stem, offset) => { taken[start + offset] = true; });
+            matched.add(keyword);
+        }
+    });
+    return keywords.filter(keyword => matched.has(keyword));
+}
+
+/**
+ * Score every category against a domain
+ * A category's relevance is the summed weight of its matched keywords
+ * @returns {Object[]} { name, score, keywords } for matching categories (not default), best first
+ */
+function scoreDomainCategories(domain) {
+    if (!operatorMappings) {
+        return [];
+    }
+    
+    const scores = [];
+    for (const [categoryName, categoryData] of Object.entries(operatorMappings.categories)) {
+        // Default is the fallback and is blended in separately
+        if (categoryName === 'default') {
+            continue;
+        }
+        
+        const keywords = getMatchedKeywords(categoryData, domain);
+        const score = keywords.reduce((sum, keyword) => sum + keyword.weight, 0);
+        if (score > 0) {
+            scores.push({ name: categoryName, score, keywords: keywords.map(keyword => keyword.text) });
+        }
+    }
+    return scores.sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Detect domain categories based on keywords in the domain string
+ * Returns array of matching category names, most relevant first
+ */
+function detectDomainCategories(domain) {
+    const matchedCategories = scoreDomainCategories(domain).map(category => category.name);
+    
+    // If no categories matched, use default
+    if (matchedCategories.length === 0) {
+        return ['default'];
+    }
+    
+    return matchedCategories;
+}
+
+/**
+ * Get the session's categories with their relevance scores
+ * Categories chosen by hand that no keyword matched get MANUAL_CATEGORY_SCORE
+ * @returns {Object[]} { name, score }
+ */
+function getSelectedCategories() {
+    const detected = scoreDomainCategories(context.domain);
+    const names = Array.isArray(context.selectedCategories)
+        ? context.selectedCategories.filter(name => name !== 'default' && operatorMappings.categories[name])
+        : detected.map(category => category.name);
+    
+    return names.map(name => {
+        const match = detected.find(category => category.name === name);
+        return { name, score: match ? match.score : MANUAL_CATEGORY_SCORE };
+    });
+}
+
+/**
+ * Get the share of the operator weight given to default operators next to the selected categories
+ */
+function getGenericRatio() {
+    return typeof context.genericRatio === 'number' ? context.genericRatio : GENERIC_TEMPLATE_RATIO;
+}
+
+/**
+ * Get the share of the operator weight each category gets
+ * Selected categories split (1 - getGenericRatio()) in proportion to their
+ * scores and default gets the rest, or everything when nothing is selected
+ * @returns {Object[]} { name, share }, shares adding up to 1
+ */
+function getCategoryBlend() {
+    return blendCategories(getSelectedCategories());
+}
+
+/**
+ * Blend scored categories as getCategoryBlend() does, e.g. for categories
+ * picked on the start screen that aren't part of the session yet
+ * @param {Object[]} selected - { name, score }, without default
+ * @returns {Object[]} { name, share }, shares adding up to 1
+ */
+function blendCategories(selected) {
+    const hasDefault = Boolean(operatorMappings.categories.default);
+    if (selected.length === 0) {
+        return hasDefault ? [{ name: 'default', share: 1 }] : [];
+    }
+    
+    const genericShare = hasDefault ? getGenericRatio() : 0;
+    const totalScore = selected.reduce((sum, category) => sum + category.score, 0);
+    const blend = selected.map(category => ({
+        name: category.name,
+        share: (1 - genericShare) * category.score / totalScore
+    }));
+    if (hasDefault) {
+        blend.push({ name: 'default', share: genericShare });
+    }
+    return blend;
+}
+
+/**
+ * Get a category's operators, normalized and tagged with the category name
+ */
+function getCategoryOperators(categoryName) {
+    return operatorMappings.categories[categoryName].operators.map(operator => ({
+        ...normalizeOperator(operator),
+        category: categoryName
+    }));
+}
+
+/**
+ * Get relevant templates based on domain and history
+ */
+function getTemplatesForDomain() {
+    if (!operatorMappings) {
+        return [];
+    }
+    
+    // Merge operators from the blended categories (remembering where each came from),
+    // scaling weights so each category's total matches its share of the pool
+    const blend = getCategoryBlend();
+    const categoryOperators = blend.map(({ name }) => getCategoryOperators(name));
+    const poolWeight = categoryOperators.flat().reduce((sum, operator) => sum + operator.weight, 0);
+    
+    let domainTemplates = [];
+    blend.forEach(({ share }, index) => {
+        const operators = categoryOperators[index];
+        const categoryWeight = operators.reduce((sum, operator) => sum + operator.weight, 0);
+        const factor = categoryWeight > 0 ? share * poolWeight / categoryWeight : 0;
+        domainTemplates.push(...operators.map(operator => ({ ...operator, blend: factor })));
+    });
+    
+    // Add context-aware templates based on history (with metadata)
+    const currentPath = getCurrentPath();
+    if (currentPath.length > 2) {
+        domainTemplates.push(...[
+            { text: 'Pivot to the opposite of "{last}"', weight: 1.5, difficulty: 'high', phase: 'validation' },
+            { text: 'Return to the initial concept: "{first}"', weight: 1.3, difficulty: 'medium', phase: 'validation' },
+            { text: 'Merge "{prev}" with "{last}"', weight: 1.4, difficulty: 'medium', phase: 'refinement' },
+            { text: 'Challenge the core assumption behind "{random_ancestor}"', weight: 1.6, difficulty: 'high', phase: 'validation' },
+            { text: 'Combine "{last}" with the alternative "{sibling}"', weight: 1.4, difficulty: 'medium', phase: 'refinement' }
+        ].map(normalizeOperator));
+    }
+    
+    // Drop templates referring to ideas that don't exist yet (e.g. {prev} at step 1, {sibling} without alternatives)
+    return domainTemplates.filter(template => canResolveContextPlaceholders(getTemplateKey(template)));
+}
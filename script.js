@@ -7,72 +7,189 @@
 const MIN_OPTIONS = 4;
 const MAX_OPTIONS = 6;
 const MAX_RANDOM_NUMBER = 20;
-const GENERIC_TEMPLATE_RATIO = 0.2; // 20% of templates will be generic for variety
-const MAX_ATTEMPTS_MULTIPLIER = 10; // Safety multiplier for selection loops
-const FREQUENCY_BIAS_FACTOR = 0.1; // Factor for reducing weight of frequently used operators
-const LOCALSTORAGE_KEY = 'infinityIdeaGenerator_state'; // Key for localStorage persistence
+const SESSION_INDEX_KEY = 'infinityIdeaGenerator_sessions'; // localStorage key of the session library index
+const SESSION_KEY_PREFIX = 'infinityIdeaGenerator_session_'; // Per-session state key, followed by the session ID
+const LEGACY_STATE_KEY = 'infinityIdeaGenerator_state'; // Single-session key used before the library (migrated on load)
+const DISMISSED_MAPPING_WARNINGS_KEY = 'infinityIdeaGenerator_dismissedMappingWarnings'; // Hash of the mapping warnings last dismissed
+const EXPORT_FORMAT_VERSION = 1; // Bump when the JSON export format changes (older files must stay importable)
+const SHARE_LINK_VERSION = 2; // Bump when the share link payload format changes
+const SHARE_HASH_PARAM = 'share'; // Share links look like #share=<version><codec>.<data>
+const MAX_UNDO_STEPS = 30; // Undo entries kept (each holds a full session snapshot)
+const MAX_RATING = 5; // Stars available when annotating an idea
+const COMPARISON_SCORE_MAX = 5; // Comparison scores run from 1 to this value
+const DEFAULT_COMPARISON_CRITERIA = [
+    { id: 'impact', name: 'Impact', weight: 3, lowerIsBetter: false },
+    { id: 'effort', name: 'Effort', weight: 2, lowerIsBetter: true },
+    { id: 'risk', name: 'Risk', weight: 2, lowerIsBetter: true },
+    { id: 'novelty', name: 'Novelty', weight: 1, lowerIsBetter: false }
+];
+const TREE_LEVEL_HEIGHT = 70; // Vertical distance between tree levels (SVG units)
+const TREE_SIBLING_SPACING = 150; // Horizontal distance between neighbouring leaves (SVG units)
+const TREE_NODE_RADIUS = 8;
+const TREE_LABEL_MAX_LENGTH = 20; // Longer choices are truncated in the tree (full text in tooltip)
+const TREE_MIN_SCALE = 0.2;
+const TREE_MAX_SCALE = 3;
+const TREE_ZOOM_STEP = 1.2;
+const TREE_DRAG_THRESHOLD = 4; // Pixels a pointer must move before a press counts as panning
+const ANALYTICS_LIST_LIMIT = 5; // Operators shown in each of the most/least used lists
+const ANALYTICS_TIMELINE_LIMIT = 20; // Most recent steps shown in the time-per-step chart
+const ANALYTICS_ABANDONED_LIMIT = 10; // Abandoned branches listed by name
+const SVG_NS = 'http://www.w3.org/2000/svg';
 
-// Cached operator mappings loaded from JSON
-let operatorMappings = null;
+// Options on screen (in display order)
+let currentOptions = [];
+
+// Shuffle state of the current node: how often it was shuffled (mixed into the
+// seed so seeded sessions get a new, still reproducible, set), the pinned
+// options that survive shuffles and how often each operator was shuffled away
+let optionShuffle = { nodeId: null, count: 0, pinned: [], dismissed: {} };
+
+// Phase named in the last screen reader announcement (only changes are announced)
+let lastAnnouncedPhase = null;
+
+// Session closed by the last reset, reopened by undo on the start screen (null if none)
+let resetSessionId = null;
+
+// Start screen changes to the detected categories (category names added and removed by hand)
+let startCategoryEdits = { added: [], removed: [] };
+
+/**
+ * Generate a unique ID
+ */
+function generateId() {
+    // Use crypto.randomUUID() if available, fallback to timestamp + random
+    return (typeof crypto !== 'undefined' && crypto.randomUUID) 
+        ? crypto.randomUUID() 
+        : `${Date.now()}-${Math.random().toString(36).substring(2, 15)}`;
+}
 
 // Tree node structure for branching history
 class HistoryNode {
     constructor(choice, parent = null) {
-        // Use crypto.randomUUID() if available, fallback to timestamp + random
-        this.id = (typeof crypto !== 'undefined' && crypto.randomUUID) 
-            ? crypto.randomUUID() 
-            : `${Date.now()}-${Math.random().toString(36).substring(2, 15)}`;
+        this.id = generateId();
         this.choice = choice;
         this.parent = parent;
         this.children = [];
+        this.phase = null;          // Phase key the choice was made in (null for nodes saved before phases were tracked)
+        this.phaseOverride = null;  // Manual phase override in effect on this branch (inherited by new children)
+        this.phaseFloor = null;     // Phase this branch was explicitly advanced to ("Done with this phase")
+        this.notes = '';            // Free-form notes (may span several lines)
+        this.rating = 0;            // Star rating, 0 (unrated) to MAX_RATING
+        this.tags = [];
+        this.favourite = false;
+        this.provenance = null;     // Where the choice came from (see addChoiceNode()); null for older nodes
+        this.createdAt = null;      // ISO timestamp of the choice; null for older nodes
+        this.offeredOptions = [];   // Options on screen when the choice was made ({ text, templateKey, provenance, chosen }); empty for older nodes
     }
 }
 
-// Phase configuration
-const PHASES = {
-    EXPLORATION: { name: 'Exploration', stepRange: [0, 3], color: '#667eea', order: 0 },
-    REFINEMENT: { name: 'Refinement', stepRange: [4, 7], color: '#764ba2', order: 1 },
-    VALIDATION: { name: 'Validation', stepRange: [8, Infinity], color: '#4caf50', order: 2 }
-};
+// Shortlisted ideas scored against criteria (see renderComparison());
+// the rest of the context is defined in idea-engine.js
+context.comparison = createDefaultComparison();
 
-/**
- * Get phase order difference (for adjacency calculation)
- */
-function getPhaseOrderDiff(phase1, phase2) {
-    return Math.abs(PHASES[phase1].order - PHASES[phase2].order);
-}
+// Session library: metadata of every saved session and which one is open
+const sessionLibrary = {
+    activeSessionId: null,
+    sessions: []         // { id, name, customName, domain, stepCount, nodeCount, createdAt, updatedAt }
+};
 
-// Context object to store domain and history tree
-const context = {
-    domain: '',
-    rootNode: null,      // Root of the history tree
-    currentNode: null,   // Current position in the tree
-    currentPhase: 'EXPLORATION',  // Current phase: EXPLORATION, REFINEMENT, or VALIDATION
-    manualPhaseOverride: null    // Manual phase override (null if auto-advancing)
+// Undo/redo stacks of session snapshots ({ label, state }), persisted with the session
+const undoHistory = {
+    undoStack: [],
+    redoStack: []
 };
 
-// Operator usage tracking for frequency-based biasing
-const operatorUsageCount = {};
+// Pan/zoom state of the tree view
+const treeView = {
+    scale: 1,
+    translateX: 0,
+    translateY: 0,
+    needsFit: true,      // Fit the whole tree on next render (first render, new session)
+    pointerStart: null,  // Pointer position when a press started
+    isPanning: false,
+    suppressClick: false // Set after a pan so the release doesn't count as a node click
+};
 
 // DOM elements
+const mappingsBanner = document.getElementById('mappings-banner');
+const mappingsBannerMessage = document.getElementById('mappings-banner-message');
+const mappingsBannerDetails = document.getElementById('mappings-banner-details');
+const mappingsBannerCloseBtn = document.getElementById('mappings-banner-close');
 const domainInputScreen = document.getElementById('domain-input-screen');
 const generationScreen = document.getElementById('generation-screen');
 const domainInput = document.getElementById('domain-input');
 const startBtn = document.getElementById('start-btn');
+const seedInput = document.getElementById('seed-input');
 const domainError = document.getElementById('domain-error');
+const categoryDetection = document.getElementById('category-detection');
+const detectedCategoriesList = document.getElementById('detected-categories');
+const addCategorySelect = document.getElementById('add-category-select');
+const categoryDetectionHint = document.getElementById('category-detection-hint');
 const currentDomainDisplay = document.getElementById('current-domain');
+const seedBadge = document.getElementById('seed-badge');
+const currentSeedDisplay = document.getElementById('current-seed');
 const currentPhaseDisplay = document.getElementById('current-phase');
 const phaseDescriptionDisplay = document.getElementById('phase-description');
-const phaseOverrideButtons = document.querySelectorAll('.phase-override-btn');
+const phaseOverrideContainer = document.getElementById('phase-override-buttons');
+const advancePhaseBtn = document.getElementById('advance-phase-btn');
 const historyPath = document.getElementById('history-path');
 const generationPrompt = document.getElementById('generation-prompt');
 const optionsContainer = document.getElementById('options-container');
+const shuffleBtn = document.getElementById('shuffle-btn');
+const alternativesSection = document.getElementById('alternatives-section');
+const alternativesHint = document.getElementById('alternatives-hint');
+const alternativesContainer = document.getElementById('alternatives-container');
+const rootAlternatives = document.getElementById('root-alternatives');
+const rootAlternativesContainer = document.getElementById('root-alternatives-container');
+const liveAnnouncer = document.getElementById('live-announcer');
 const customInput = document.getElementById('custom-input');
 const customSubmitBtn = document.getElementById('custom-submit-btn');
 const customError = document.getElementById('custom-error');
 const resetBtn = document.getElementById('reset-btn');
-const exportMarkdownBtn = document.getElementById('export-markdown-btn');
-const exportJsonBtn = document.getElementById('export-json-btn');
+const exportFormatSelect = document.getElementById('export-format');
+const exportScopeSelect = document.getElementById('export-scope');
+const exportBtn = document.getElementById('export-btn');
+const shareLinkBtn = document.getElementById('share-link-btn');
+const printReportBtn = document.getElementById('print-report-btn');
+const printReport = document.getElementById('print-report');
+const undoBtn = document.getElementById('undo-btn');
+const redoBtn = document.getElementById('redo-btn');
+const domainUndoBtn = document.getElementById('domain-undo-btn');
+const sessionLibraryPanel = document.getElementById('session-library');
+const sessionList = document.getElementById('session-list');
+const sessionsBtn = document.getElementById('sessions-btn');
+const importSessionBtn = document.getElementById('import-session-btn');
+const importSessionFile = document.getElementById('import-session-file');
+const treePanel = document.getElementById('tree-panel');
+const treeSvg = document.getElementById('tree-svg');
+const treeZoomInBtn = document.getElementById('tree-zoom-in-btn');
+const treeZoomOutBtn = document.getElementById('tree-zoom-out-btn');
+const treeFitBtn = document.getElementById('tree-fit-btn');
+const categoryPanel = document.getElementById('category-panel');
+const categoryPanelSummary = document.getElementById('category-panel-summary');
+const categoryToggleList = document.getElementById('category-toggle-list');
+const genericRatioInput = document.getElementById('generic-ratio-input');
+const genericRatioOutput = document.getElementById('generic-ratio-output');
+const analyticsPanel = document.getElementById('analytics-panel');
+const analyticsContent = document.getElementById('analytics-content');
+const comparisonPanel = document.getElementById('comparison-panel');
+const comparisonCount = document.getElementById('comparison-count');
+const comparisonTable = document.getElementById('comparison-table');
+const comparisonEmpty = document.getElementById('comparison-empty');
+const comparisonSortSelect = document.getElementById('comparison-sort');
+const comparisonCriterionInput = document.getElementById('comparison-criterion-input');
+const addCurrentToComparisonBtn = document.getElementById('add-current-to-comparison-btn');
+const annotationModal = document.getElementById('annotation-modal');
+const annotationChoice = document.getElementById('annotation-choice');
+const annotationFavourite = document.getElementById('annotation-favourite');
+const annotationRating = document.getElementById('annotation-rating');
+const annotationTags = document.getElementById('annotation-tags');
+const annotationNotes = document.getElementById('annotation-notes');
+const annotationSaveBtn = document.getElementById('annotation-save-btn');
+const annotationCancelBtn = document.getElementById('annotation-cancel-btn');
+
+// Node being edited in the annotation editor (null when it is closed)
+let annotationTarget = null;
 
 /**
  * Load operator mappings from JSON file
@@ -83,12 +200,40 @@ async function loadOperatorMappings() {
         if (!response.ok) {
             throw new Error(`Failed to load operator mappings: ${response.status}`);
         }
-        operatorMappings = await response.json();
+        const mappings = await response.json();
+        
+        const { errors, warnings } = validateOperatorMappings(mappings);
+        if (errors.length > 0) {
+            const error = new Error('operator-mappings.json is invalid');
+            error.details = errors;
+            throw error;
+        }
+        operatorMappings = mappings;
         console.log('Operator mappings loaded successfully');
+        
+        if (warnings.length > 0) {
+            console.warn('Operator mapping warnings:\n' + warnings.join('\n'));
+            showMappingsBanner(`operator-mappings.json has ${warnings.length} warning${warnings.length === 1 ? '' : 's'}. Ideas are still generated, but some operators or keywords may not behave as intended.`,
+                warnings, 'warning');
+        }
+        
+        // An invalid phase model is reported as a warning above
+        if (operatorMappings.phaseModel && isValidPhaseModel(operatorMappings.phaseModel)) {
+            applyPhaseModel(operatorMappings.phaseModel);
+        }
     } catch (error) {
-        console.error('Error loading operator mappings:', error);
-        // Fallback to basic default operators if JSON fails to load
+        console.error('Error loading operator mappings:', error, error.details || '');
+        showMappingsBanner(`Operator mappings couldn't be used (${error.message}), so a small built-in set of operators is used instead.`,
+            error.details || [], 'error');
+        // Fallback to basic default operators and slots if JSON fails to load
         operatorMappings = { 
+            slots: {
+                target: ['beginners', 'experts', 'small businesses', 'students', 'professionals'],
+                constraint: ['a dependency', 'manual steps', 'a bottleneck', 'complexity', 'friction'],
+                multiplier: ['10x', '100x', '2x', '5x', '0.5x'],
+                assumption: ['the pricing model', 'the delivery method', 'the user flow', 'the target market'],
+                number: { range: [1, MAX_RANDOM_NUMBER] }
+            },
             categories: { 
                 default: { 
                     keywords: [], 
@@ -107,6 +252,52 @@ async function loadOperatorMappings() {
     }
 }
 
+/**
+ * Show the operator mappings banner (non-blocking)
+ * Dismissed warnings stay hidden until they change; errors are always shown
+ * @param {string} message - Summary line
+ * @param {string[]} details - Individual problems (see validateOperatorMappings())
+ * @param {string} level - 'warning' or 'error'
+ */
+function showMappingsBanner(message, details, level) {
+    const signature = String(hashString(details.join('\n')));
+    let dismissedSignature = null;
+    try {
+        dismissedSignature = localStorage.getItem(DISMISSED_MAPPING_WARNINGS_KEY);
+    } catch (error) {
+        console.error('Error loading dismissed mapping warnings:', error);
+    }
+    if (level === 'warning' && dismissedSignature === signature) {
+        return;
+    }
+    
+    mappingsBanner.className = `mappings-banner ${level}`;
+    mappingsBannerMessage.textContent = message;
+    mappingsBannerDetails.innerHTML = '';
+    details.forEach(detail => {
+        const item = document.createElement('li');
+        item.textContent = detail;
+        mappingsBannerDetails.appendChild(item);
+    });
+    mappingsBannerDetails.parentElement.hidden = details.length === 0;
+    mappingsBanner.dataset.signature = level === 'warning' ? signature : '';
+    mappingsBanner.hidden = false;
+}
+
+/**
+ * Hide the mappings banner, remembering dismissed warnings
+ */
+function dismissMappingsBanner() {
+    mappingsBanner.hidden = true;
+    if (mappingsBanner.dataset.signature) {
+        try {
+            localStorage.setItem(DISMISSED_MAPPING_WARNINGS_KEY, mappingsBanner.dataset.signature);
+        } catch (error) {
+            console.error('Error saving dismissed mapping warnings:', error);
+        }
+    }
+}
+
 /**
  * Initialize the app
  */
@@ -115,965 +306,3705 @@ async function init() {
     await loadOperatorMappings();
     
     // Event listeners
+    mappingsBannerCloseBtn.addEventListener('click', dismissMappingsBanner);
     startBtn.addEventListener('click', startGeneration);
     domainInput.addEventListener('keypress', (e) => {
         if (e.key === 'Enter') startGeneration();
     });
+    domainInput.addEventListener('input', renderDetectedCategories);
+    addCategorySelect.addEventListener('change', () => {
+        if (addCategorySelect.value) addStartCategory(addCategorySelect.value);
+    });
+    seedInput.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') startGeneration();
+    });
     
+    shuffleBtn.addEventListener('click', shuffleOptions);
     customSubmitBtn.addEventListener('click', handleCustomInput);
     customInput.addEventListener('keypress', (e) => {
         if (e.key === 'Enter') handleCustomInput();
     });
     
     resetBtn.addEventListener('click', resetApp);
-    exportMarkdownBtn.addEventListener('click', exportAsMarkdown);
-    exportJsonBtn.addEventListener('click', exportAsJSON);
-    
-    // Phase override button listeners
-    phaseOverrideButtons.forEach(btn => {
-        btn.addEventListener('click', () => {
-            const phaseKey = btn.dataset.phase;
-            handlePhaseOverride(phaseKey);
-        });
+    undoBtn.addEventListener('click', undo);
+    redoBtn.addEventListener('click', redo);
+    domainUndoBtn.addEventListener('click', undo);
+    sessionsBtn.addEventListener('click', leaveSession);
+    sessionList.addEventListener('click', handleSessionListClick);
+    importSessionBtn.addEventListener('click', () => importSessionFile.click());
+    importSessionFile.addEventListener('change', importSessionFromFile);
+    document.addEventListener('keydown', handleUndoShortcut);
+    document.addEventListener('keydown', handleNavigationShortcut);
+    
+    // Annotation editor
+    renderRatingStars();
+    annotationRating.addEventListener('click', (e) => {
+        const star = e.target.closest('.rating-star');
+        if (star) {
+            // Clicking the current rating again clears it
+            const rating = Number(star.dataset.rating);
+            setAnnotationRating(Number(annotationRating.dataset.rating) === rating ? 0 : rating);
+        }
+    });
+    annotationSaveBtn.addEventListener('click', saveAnnotation);
+    annotationCancelBtn.addEventListener('click', closeAnnotationEditor);
+    annotationModal.addEventListener('click', (e) => {
+        if (e.target === annotationModal) {
+            closeAnnotationEditor();
+        }
+    });
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && annotationTarget) {
+            closeAnnotationEditor();
+        }
     });
+    renderExportFormatOptions();
+    exportFormatSelect.addEventListener('change', updateExportScopeState);
+    exportBtn.addEventListener('click', exportSession);
+    shareLinkBtn.addEventListener('click', copyShareLink);
+    printReportBtn.addEventListener('click', printSessionReport);
     
-    // Event delegation for history path clicks
+    // Browser printing (Ctrl+P) prints the report too while a session is open
+    window.addEventListener('beforeprint', () => {
+        if (generationScreen.classList.contains('active') && context.domain) {
+            renderPrintReport();
+        }
+    });
+    window.addEventListener('afterprint', () => document.body.classList.remove('has-print-report'));
+    
+    // Phase override buttons (rendered from the phase model)
+    renderPhaseOverrideButtons();
+    phaseOverrideContainer.addEventListener('click', (e) => {
+        const btn = e.target.closest('.phase-override-btn');
+        if (btn) {
+            handlePhaseOverride(btn.dataset.phase);
+        }
+    });
+    advancePhaseBtn.addEventListener('click', handleAdvancePhase);
+    
+    // Event delegation for history path clicks (and Enter/Space on a focused item)
     historyPath.addEventListener('click', handleHistoryClick);
+    historyPath.addEventListener('keydown', handleHistoryKeydown);
+    
+    // Tree view interactions
+    treeSvg.addEventListener('click', handleTreeClick);
+    treeSvg.addEventListener('contextmenu', handleTreeContextMenu);
+    treeSvg.addEventListener('pointerdown', handleTreePointerDown);
+    treeSvg.addEventListener('pointermove', handleTreePointerMove);
+    treeSvg.addEventListener('pointerup', handleTreePointerUp);
+    treeSvg.addEventListener('pointerleave', handleTreePointerUp);
+    treeSvg.addEventListener('wheel', handleTreeWheel, { passive: false });
+    treeZoomInBtn.addEventListener('click', () => zoomTree(TREE_ZOOM_STEP));
+    treeZoomOutBtn.addEventListener('click', () => zoomTree(1 / TREE_ZOOM_STEP));
+    treeFitBtn.addEventListener('click', fitTreeToView);
+    treePanel.addEventListener('toggle', () => {
+        // The SVG has no size while collapsed, so refit when it is opened again
+        if (treePanel.open) {
+            treeView.needsFit = true;
+            renderTreeView();
+        }
+    });
+    
+    categoryPanel.addEventListener('change', handleCategoryChange);
+    categoryPanel.addEventListener('click', (e) => {
+        if (e.target.dataset.action === 'reset-categories') resetSessionCategories();
+    });
+    genericRatioInput.addEventListener('input', () => {
+        genericRatioOutput.textContent = `${genericRatioInput.value}%`;
+    });
+    analyticsPanel.addEventListener('toggle', renderAnalytics);
+    comparisonPanel.addEventListener('click', handleComparisonClick);
+    comparisonPanel.addEventListener('change', handleComparisonChange);
+    comparisonCriterionInput.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') {
+            addComparisonCriterion();
+        }
+    });
     
     // Try to restore previous session from localStorage
     loadStateFromLocalStorage();
+    
+    // Open a shared session if the page was opened from a share link
+    await importSessionFromUrl();
+    window.addEventListener('hashchange', importSessionFromUrl);
 }
 
 /**
- * Save current state to localStorage
+ * Capture a plain, serializable snapshot of the current session
  */
-function saveStateToLocalStorage() {
-    try {
-        const state = {
-            domain: context.domain,
-            rootNode: serializeNode(context.rootNode),
-            currentNodeId: context.currentNode ? context.currentNode.id : null,
-            operatorUsageCount: { ...operatorUsageCount },
-            currentPhase: context.currentPhase,
-            manualPhaseOverride: context.manualPhaseOverride
-        };
-        localStorage.setItem(LOCALSTORAGE_KEY, JSON.stringify(state));
-    } catch (error) {
-        console.error('Failed to save session state to localStorage:', error);
-    }
+function captureSessionState() {
+    return {
+        domain: context.domain,
+        rootNode: serializeNode(context.rootNode),
+        currentNodeId: context.currentNode ? context.currentNode.id : null,
+        operatorUsageCount: { ...operatorUsageCount },
+        currentPhase: context.currentPhase,
+        manualPhaseOverride: context.manualPhaseOverride,
+        seed: context.seed,
+        selectedCategories: context.selectedCategories ? [...context.selectedCategories] : null,
+        genericRatio: context.genericRatio,
+        comparison: JSON.parse(JSON.stringify(context.comparison))
+    };
 }
 
 /**
- * Load state from localStorage and restore session
+ * Replace the current session with a snapshot from captureSessionState()
  */
-function loadStateFromLocalStorage() {
-    try {
-        const savedState = localStorage.getItem(LOCALSTORAGE_KEY);
-        if (!savedState) return;
-        
-        const state = JSON.parse(savedState);
-        
-        // Restore domain and tree
-        if (state.domain && state.rootNode) {
-            context.domain = state.domain;
-            context.rootNode = deserializeNode(state.rootNode);
-            
-            // Find and set current node
-            if (state.currentNodeId) {
-                context.currentNode = findNodeById(context.rootNode, state.currentNodeId);
-            }
-            
-            // Restore operator usage count
-            if (state.operatorUsageCount) {
-                Object.assign(operatorUsageCount, state.operatorUsageCount);
-            }
-            
-            // Restore phase state
-            if (state.currentPhase) {
-                context.currentPhase = state.currentPhase;
-            }
-            if (state.manualPhaseOverride !== undefined) {
-                context.manualPhaseOverride = state.manualPhaseOverride;
-            }
-            
-            // Switch to generation screen and display state
-            domainInputScreen.classList.remove('active');
-            generationScreen.classList.add('active');
-            currentDomainDisplay.textContent = context.domain;
-            generateNextStep();
-        }
-    } catch (error) {
-        console.error('Failed to restore session from localStorage:', error);
-        // If there's an error, clear the corrupted data
-        localStorage.removeItem(LOCALSTORAGE_KEY);
+function restoreSessionState(state) {
+    context.domain = state.domain || '';
+    context.rootNode = deserializeNode(state.rootNode);
+    context.currentNode = state.currentNodeId
+        ? findNodeById(context.rootNode, state.currentNodeId)
+        : null;
+    
+    // Restore operator usage count
+    Object.keys(operatorUsageCount).forEach(key => delete operatorUsageCount[key]);
+    if (state.operatorUsageCount) {
+        Object.assign(operatorUsageCount, state.operatorUsageCount);
+    }
+    
+    // Restore phase state
+    // Phase keys from a different phase model fall back to the first phase / automatic
+    context.currentPhase = PHASES[state.currentPhase] ? state.currentPhase : getFirstPhaseKey();
+    context.manualPhaseOverride = PHASES[state.manualPhaseOverride] ? state.manualPhaseOverride : null;
+    if (context.currentNode) {
+        // Older sessions only stored a session-wide override: it applies to the current branch
+        context.currentNode.phaseOverride = context.manualPhaseOverride;
     }
+    context.seed = state.seed || '';
+    // Sessions from before categories could be chosen keep detecting them from the domain
+    context.selectedCategories = Array.isArray(state.selectedCategories)
+        ? state.selectedCategories.filter(name => typeof name === 'string')
+        : null;
+    context.genericRatio = isValidGenericRatio(state.genericRatio) ? state.genericRatio : null;
+    context.comparison = normalizeComparison(state.comparison);
 }
 
 /**
- * Serialize a tree node for storage
+ * Clear the in-memory session (domain, tree, phase state and usage counts)
  */
-function serializeNode(node) {
-    if (!node) return null;
+function clearSessionContext() {
+    context.domain = '';
+    context.rootNode = null;
+    context.currentNode = null;
+    context.currentPhase = getFirstPhaseKey();
+    context.manualPhaseOverride = null;
+    context.seed = '';
+    context.selectedCategories = null;
+    context.genericRatio = null;
+    context.comparison = createDefaultComparison();
+    lastAnnouncedPhase = null;
     
-    return {
-        id: node.id,
-        choice: node.choice,
-        children: node.children.map(child => serializeNode(child))
-    };
+    // Clear operator usage tracking (efficient clearing)
+    Object.keys(operatorUsageCount).forEach(key => delete operatorUsageCount[key]);
 }
 
 /**
- * Deserialize a node from storage and reconstruct the tree
+ * Summarize a saved session state for the session library
  */
-function deserializeNode(data, parent = null) {
-    if (!data) return null;
+function describeSessionState(state) {
+    let nodeCount = 0;
+    let stepCount = 0;
     
-    const node = new HistoryNode(data.choice, parent);
-    node.id = data.id; // Preserve original ID
-    
-    // Recursively deserialize children
-    if (data.children && data.children.length > 0) {
-        node.children = data.children.map(childData => deserializeNode(childData, node));
+    // Walk the serialized tree, tracking the depth of the current node
+    const visit = (data, depth) => {
+        nodeCount++;
+        if (data.id === state.currentNodeId) {
+            stepCount = depth;
+        }
+        (data.children || []).forEach(child => visit(child, depth + 1));
+    };
+    if (state.rootNode) {
+        visit(state.rootNode, 1);
     }
     
-    return node;
+    return { domain: state.domain || '', stepCount: stepCount, nodeCount: nodeCount };
 }
 
 /**
- * Show error message
+ * Get library metadata for a session
  */
-function showError(element, message) {
-    element.textContent = message;
-    element.classList.add('show');
-    setTimeout(() => {
-        element.classList.remove('show');
-    }, 3000);
+function getSessionMeta(sessionId) {
+    return sessionLibrary.sessions.find(session => session.id === sessionId) || null;
 }
 
 /**
- * Clear error message
+ * Save the session library index to localStorage
  */
-function clearError(element) {
-    element.textContent = '';
-    element.classList.remove('show');
+function saveSessionIndex() {
+    try {
+        localStorage.setItem(SESSION_INDEX_KEY, JSON.stringify(sessionLibrary));
+    } catch (error) {
+        console.error('Failed to save session library to localStorage:', error);
+    }
 }
 
 /**
- * Start the generation process
+ * Create a new, empty session in the library and make it the active one
  */
-function startGeneration() {
-    const domain = domainInput.value.trim();
-    
-    if (!domain) {
-        showError(domainError, 'Please enter a domain to explore!');
-        domainInput.focus();
-        return;
-    }
-    
-    clearError(domainError);
-    
-    // Set the domain in context and initialize tree
-    context.domain = domain;
-    context.rootNode = null;
-    context.currentNode = null;
-    
-    // Save initial state
-    saveStateToLocalStorage();
+function createSession(name) {
+    const now = new Date().toISOString();
+    const meta = {
+        id: generateId(),
+        name: name,
+        customName: false,  // Becomes true once the user renames the session
+        domain: '',
+        stepCount: 0,
+        nodeCount: 0,
+        createdAt: now,
+        updatedAt: now
+    };
     
-    // Switch screens
-    domainInputScreen.classList.remove('active');
-    generationScreen.classList.add('active');
+    sessionLibrary.sessions.push(meta);
+    sessionLibrary.activeSessionId = meta.id;
     
-    // Display domain
-    currentDomainDisplay.textContent = domain;
+    // Every session has its own undo history
+    undoHistory.undoStack = [];
+    undoHistory.redoStack = [];
     
-    // Generate first set of options
-    generateNextStep();
+    return meta;
 }
 
 /**
- * Generate the next step in the infinite loop
+ * Save current state to localStorage
  */
-function generateNextStep() {
-    // Clear previous options
-    optionsContainer.innerHTML = '';
-    customInput.value = '';
-    
-    // Update current phase based on step count
-    updateCurrentPhase();
-    
-    // Update history display
-    updateHistoryDisplay();
+function saveStateToLocalStorage() {
+    if (!sessionLibrary.activeSessionId) {
+        createSession(context.domain);
+    }
     
-    // Update phase display
-    updatePhaseDisplay();
+    const state = captureSessionState();
+    const storageKey = SESSION_KEY_PREFIX + sessionLibrary.activeSessionId;
     
-    // Update prompt
-    updatePrompt();
+    try {
+        localStorage.setItem(storageKey, JSON.stringify({
+            ...state,
+            undoStack: undoHistory.undoStack,
+            redoStack: undoHistory.redoStack
+        }));
+    } catch (error) {
+        // Undo snapshots are the bulk of the data; keep the session itself if storage is full
+        console.error('Failed to save session state to localStorage, retrying without undo history:', error);
+        try {
+            localStorage.setItem(storageKey, JSON.stringify(state));
+        } catch (retryError) {
+            console.error('Failed to save session state to localStorage:', retryError);
+        }
+    }
     
-    // Generate 4-6 random options
-    const numOptions = Math.floor(Math.random() * (MAX_OPTIONS - MIN_OPTIONS + 1)) + MIN_OPTIONS;
-    const options = generateOptions(numOptions);
+    // Keep the library listing in sync
+    const meta = getSessionMeta(sessionLibrary.activeSessionId);
+    Object.assign(meta, describeSessionState(state), { updatedAt: new Date().toISOString() });
+    if (!meta.customName && context.domain) {
+        meta.name = context.domain;
+    }
+    saveSessionIndex();
     
-    // Create option buttons
-    options.forEach((optionData, index) => {
-        const button = document.createElement('button');
-        button.className = 'option-btn';
-        button.innerHTML = `<span>${optionData.text}</span>`;
-        button.addEventListener('click', () => selectOption(optionData.text, optionData.templateKey));
-        optionsContainer.appendChild(button);
-    });
+    updateUndoButtons();
 }
 
 /**
- * Generate creative options based on current context
+ * Move a session saved under the pre-library single key into the library
  */
-function generateOptions(count) {
-    const options = [];
-    const templates = getTemplatesForDomain();
+function migrateLegacySession() {
+    const legacyState = localStorage.getItem(LEGACY_STATE_KEY);
+    if (!legacyState) return;
     
-    // Generate unique options (prevent duplicates)
-    let attempts = 0;
-    const maxAttempts = count * MAX_ATTEMPTS_MULTIPLIER;
-    const usedTemplates = new Set();
-    
-    while (options.length < count && attempts < maxAttempts) {
-        const selectedTemplate = selectWeightedTemplate(templates, usedTemplates);
-        if (selectedTemplate) {
-            const option = generateSingleOption([selectedTemplate]);
-            // Check for duplicate generated text
-            if (!options.some(opt => opt.text === option)) {
-                const templateKey = getTemplateKey(selectedTemplate);
-                options.push({
-                    text: option,
-                    template: selectedTemplate,
-                    templateKey: templateKey
-                });
-                usedTemplates.add(templateKey);
-            }
+    try {
+        const state = JSON.parse(legacyState);
+        if (state.domain) {
+            const meta = createSession(state.domain);
+            Object.assign(meta, describeSessionState(state));
+            localStorage.setItem(SESSION_KEY_PREFIX + meta.id, legacyState);
+            saveSessionIndex();
         }
-        attempts++;
+    } catch (error) {
+        console.error('Failed to migrate previous session:', error);
     }
     
-    // Rank options before returning
-    const rankedOptions = rankOptions(options);
-    
-    // Return objects with text and templateKey for proper tracking
-    return rankedOptions.map(opt => ({
-        text: opt.text,
-        templateKey: opt.templateKey
-    }));
+    localStorage.removeItem(LEGACY_STATE_KEY);
 }
 
 /**
- * Normalize operator to a standard format
- * Supports both string operators and object operators with metadata
+ * Load state from localStorage and restore session
  */
-function normalizeOperator(operator) {
-    if (typeof operator === 'string') {
-        // Backward compatibility: string operators get default values
-        return {
-            text: operator,
-            weight: 1.0,
-            difficulty: 'medium',
-            phase: 'exploration'
-        };
+function loadStateFromLocalStorage() {
+    try {
+        const savedIndex = localStorage.getItem(SESSION_INDEX_KEY);
+        if (savedIndex) {
+            const index = JSON.parse(savedIndex);
+            sessionLibrary.activeSessionId = index.activeSessionId || null;
+            sessionLibrary.sessions = Array.isArray(index.sessions) ? index.sessions : [];
+        }
+    } catch (error) {
+        console.error('Failed to read session library from localStorage:', error);
+        localStorage.removeItem(SESSION_INDEX_KEY);
     }
-    // Object operator: fill in missing fields with defaults
-    return {
-        text: operator.text,
-        weight: operator.weight !== undefined ? operator.weight : 1.0,
-        difficulty: operator.difficulty || 'medium',
-        phase: operator.phase || 'exploration'
-    };
-}
-
-/**
- * Get a unique key for a template (handles both string and object templates)
- */
-function getTemplateKey(template) {
-    if (typeof template === 'string') {
-        return template;
+    
+    migrateLegacySession();
+    
+    if (sessionLibrary.activeSessionId && getSessionMeta(sessionLibrary.activeSessionId)) {
+        openSession(sessionLibrary.activeSessionId);
+    } else {
+        sessionLibrary.activeSessionId = null;
+        showSessionScreen();
     }
-    return template.text;
 }
 
 /**
- * Select a template using weighted random selection with frequency bias
+ * Open a saved session from the library
  */
-function selectWeightedTemplate(templates, usedTemplates) {
-    if (templates.length === 0) return null;
-    
-    // Normalize all templates
-    const normalizedTemplates = templates.map(normalizeOperator);
-    
-    // Filter out already used templates
-    const availableTemplates = normalizedTemplates.filter(t => 
-        !usedTemplates.has(t.text)
-    );
-    
-    // If all templates used, allow reuse but still apply weighting
-    const templatesToUse = availableTemplates.length > 0 ? availableTemplates : normalizedTemplates;
+function openSession(sessionId) {
+    const storageKey = SESSION_KEY_PREFIX + sessionId;
+    resetSessionId = null;
+    clearSessionContext();
+    undoHistory.undoStack = [];
+    undoHistory.redoStack = [];
     
-    // Calculate weights with frequency bias
-    const weightedTemplates = templatesToUse.map(template => {
-        const usageCount = operatorUsageCount[template.text] || 0;
-        // Frequency bias: reduce weight for frequently used operators
-        // Formula: weight / (1 + usageCount * FREQUENCY_BIAS_FACTOR)
-        const frequencyBias = 1 / (1 + usageCount * FREQUENCY_BIAS_FACTOR);
-        const adjustedWeight = template.weight * frequencyBias;
+    try {
+        const savedState = localStorage.getItem(storageKey);
+        const state = savedState ? JSON.parse(savedState) : {};
         
-        return {
-            template: template,
-            weight: adjustedWeight
-        };
-    });
-    
-    // Calculate total weight
-    const totalWeight = weightedTemplates.reduce((sum, wt) => sum + wt.weight, 0);
-    
-    // Edge case: if all weights are 0, use uniform random selection
-    if (totalWeight === 0) {
-        const randomIndex = Math.floor(Math.random() * weightedTemplates.length);
-        return weightedTemplates[randomIndex].template;
-    }
-    
-    // Select using weighted random
-    let random = Math.random() * totalWeight;
-    for (const wt of weightedTemplates) {
-        random -= wt.weight;
-        if (random < 0) {  // Use < instead of <= to avoid floating-point precision issues
-            return wt.template;
-        }
+        // Restore undo history (survives reloads, including an undoable reset)
+        undoHistory.undoStack = Array.isArray(state.undoStack) ? state.undoStack : [];
+        undoHistory.redoStack = Array.isArray(state.redoStack) ? state.redoStack : [];
+        
+        restoreSessionState(state);
+    } catch (error) {
+        console.error('Failed to restore session from localStorage:', error);
+        // If there's an error, clear the corrupted data
+        localStorage.removeItem(storageKey);
+        clearSessionContext();
     }
     
-    // Fallback to last template (should rarely happen)
-    return weightedTemplates[weightedTemplates.length - 1].template;
+    sessionLibrary.activeSessionId = sessionId;
+    saveSessionIndex();
+    showSessionScreen();
 }
 
 /**
- * Rank generated options by relevance and quality
+ * Close the current session (it stays saved) and return to the session library
  */
-function rankOptions(options) {
-    return options.sort((a, b) => {
-        const templateA = normalizeOperator(a.template);
-        const templateB = normalizeOperator(b.template);
-        
-        // Calculate scores for each option
-        const scoreA = calculateOptionScore(templateA, a.templateKey);
-        const scoreB = calculateOptionScore(templateB, b.templateKey);
-        
-        // Higher scores come first
-        return scoreB - scoreA;
-    });
+function leaveSession() {
+    sessionLibrary.activeSessionId = null;
+    saveSessionIndex();
+    
+    clearSessionContext();
+    undoHistory.undoStack = [];
+    undoHistory.redoStack = [];
+    
+    showSessionScreen();
+    domainInput.focus();
 }
 
 /**
- * Calculate a relevance score for an option
+ * Rename a session in the library
  */
-function calculateOptionScore(template, templateKey) {
-    let score = 0;
-    
-    // Base score from weight (higher weight = higher priority)
-    score += template.weight * 10;
-    
-    // Frequency bonus: less used operators get a boost
-    const usageCount = operatorUsageCount[templateKey] || 0;
-    score += Math.max(0, 5 - usageCount);
+function renameSession(sessionId) {
+    const meta = getSessionMeta(sessionId);
+    const newName = prompt('Session name:', meta.name);
     
-    // Phase-based scoring (strongly prefer operators matching current phase)
-    const currentPhase = context.currentPhase;
-    const templatePhase = (template.phase || 'exploration').toUpperCase();
-    
-    const phaseDiff = getPhaseOrderDiff(currentPhase, templatePhase);
-    
-    if (phaseDiff === 0) {
-        score += 10; // Strong bonus for exact phase match
-    } else if (phaseDiff === 1) {
-        score += 2; // Small bonus for adjacent phase
+    if (newName !== null && newName.trim() !== '') {
+        meta.name = newName.trim();
+        meta.customName = true;
+        saveSessionIndex();
+        renderSessionList();
     }
+}
+
+/**
+ * Duplicate a session (tree, phase state, usage counts and undo history)
+ */
+function duplicateSession(sessionId) {
+    const meta = getSessionMeta(sessionId);
+    const now = new Date().toISOString();
+    const copy = {
+        ...meta,
+        id: generateId(),
+        name: `${meta.name} (copy)`,
+        customName: true,
+        createdAt: now,
+        updatedAt: now
+    };
     
-    // Difficulty-based scoring (progressive difficulty aligned with phases)
-    const phaseOrder = PHASES[currentPhase].order;
-    if (phaseOrder === 0 && template.difficulty === 'low') {
-        score += 2; // Prefer easier options early
-    } else if (phaseOrder === 1 && template.difficulty === 'medium') {
-        score += 2;
-    } else if (phaseOrder === 2 && template.difficulty === 'high') {
-        score += 2; // Prefer challenging options later
+    try {
+        const savedState = localStorage.getItem(SESSION_KEY_PREFIX + sessionId);
+        if (savedState) {
+            localStorage.setItem(SESSION_KEY_PREFIX + copy.id, savedState);
+        }
+    } catch (error) {
+        console.error('Failed to duplicate session:', error);
+        alert('Sorry, the session could not be duplicated (browser storage may be full).');
+        return;
     }
     
-    return score;
+    sessionLibrary.sessions.push(copy);
+    saveSessionIndex();
+    renderSessionList();
 }
 
 /**
- * Generate a single option using templates and randomization
- * @param {Array} templates - Array containing exactly one template
+ * Permanently delete a session from the library
  */
-function generateSingleOption(templates) {
-    // Precondition: templates array should contain exactly one template
-    if (!templates || templates.length === 0) {
-        console.error('generateSingleOption called with empty templates array');
-        return 'Generate new option';
+function deleteSession(sessionId) {
+    const meta = getSessionMeta(sessionId);
+    if (!confirm(`Delete the session "${meta.name}"? This cannot be undone.`)) {
+        return;
     }
     
-    const template = templates[0];
-    const normalized = normalizeOperator(template);
-    
-    // Replace placeholders with contextual or random values
-    let option = normalized.text;
-    
-    // Replace {domain} with actual domain
-    option = option.replace(/{domain}/g, context.domain);
-    
-    // Replace {last} with last choice if exists
-    const currentPath = getCurrentPath();
-    if (currentPath.length > 0) {
-        const lastChoice = currentPath[currentPath.length - 1];
-        option = option.replace(/{last}/g, lastChoice);
-    } else {
-        option = option.replace(/{last}/g, context.domain);
+    localStorage.removeItem(SESSION_KEY_PREFIX + sessionId);
+    sessionLibrary.sessions = sessionLibrary.sessions.filter(session => session.id !== sessionId);
+    if (resetSessionId === sessionId) {
+        resetSessionId = null;
+        updateUndoButtons();
     }
     
-    // Replace {target} with specific target users
-    const targets = ['beginners', 'experts', 'enterprises', 'teenagers', 'seniors', 
-                     'small businesses', 'developers', 'creators', 'students', 'professionals'];
-    option = option.replace(/{target}/g, targets[Math.floor(Math.random() * targets.length)]);
-    
-    // Replace {constraint} with specific constraints
-    const constraints = ['a dependency', 'a feature', 'the middleman', 'manual steps', 'a cost center',
-                         'a bottleneck', 'complexity', 'a requirement', 'friction', 'an intermediary'];
-    option = option.replace(/{constraint}/g, constraints[Math.floor(Math.random() * constraints.length)]);
-    
-    // Replace {multiplier} with scale factors
-    const multipliers = ['10x', '100x', '2x', '5x', '0.5x'];
-    option = option.replace(/{multiplier}/g, multipliers[Math.floor(Math.random() * multipliers.length)]);
-    
-    // Replace {assumption} with common assumptions
-    const assumptions = ['the pricing model', 'the delivery method', 'the user flow', 'the monetization strategy',
-                        'the target market', 'the value proposition', 'the distribution channel', 'the core feature'];
-    option = option.replace(/{assumption}/g, assumptions[Math.floor(Math.random() * assumptions.length)]);
-    
-    // Replace {number} with random numbers
-    option = option.replace(/{number}/g, Math.floor(Math.random() * MAX_RANDOM_NUMBER) + 1);
+    if (sessionLibrary.activeSessionId === sessionId) {
+        sessionLibrary.activeSessionId = null;
+        clearSessionContext();
+        undoHistory.undoStack = [];
+        undoHistory.redoStack = [];
+        updateUndoButtons();
+    }
     
-    return option;
+    saveSessionIndex();
+    renderSessionList();
 }
 
 /**
- * Detect domain categories based on keywords in the domain string
- * Returns array of matching category names
+ * Handle clicks on session list buttons (event delegation)
  */
-function detectDomainCategories(domain) {
-    if (!operatorMappings) {
-        return ['default'];
-    }
-    
-    const domainLower = domain.toLowerCase();
-    const matchedCategories = [];
+function handleSessionListClick(event) {
+    const button = event.target.closest('button[data-action]');
+    if (!button) return;
     
-    // Check each category for keyword matches (case-insensitive, partial match)
-    for (const [categoryName, categoryData] of Object.entries(operatorMappings.categories)) {
-        // Skip default category in initial matching
-        if (categoryName === 'default') {
-            continue;
-        }
-        
-        // Check if any keyword matches (partial, case-insensitive)
-        const hasMatch = categoryData.keywords.some(keyword => 
-            domainLower.includes(keyword.toLowerCase())
-        );
-        
-        if (hasMatch) {
-            matchedCategories.push(categoryName);
-        }
+    const sessionId = button.closest('.session-item').dataset.sessionId;
+    switch (button.dataset.action) {
+        case 'open':
+            openSession(sessionId);
+            break;
+        case 'rename':
+            renameSession(sessionId);
+            break;
+        case 'duplicate':
+            duplicateSession(sessionId);
+            break;
+        case 'delete':
+            deleteSession(sessionId);
+            break;
     }
-    
-    // If no categories matched, use default
-    if (matchedCategories.length === 0) {
-        return ['default'];
-    }
-    
-    return matchedCategories;
 }
 
 /**
- * Get relevant templates based on domain and history
+ * Render the session library list on the start screen (most recent first)
  */
-function getTemplatesForDomain() {
-    if (!operatorMappings) {
-        return [];
-    }
+function renderSessionList() {
+    sessionList.innerHTML = '';
+    sessionLibraryPanel.hidden = sessionLibrary.sessions.length === 0;
     
-    // Detect matching categories
-    const matchedCategories = detectDomainCategories(context.domain);
+    const sessions = [...sessionLibrary.sessions].sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
     
-    // Merge operators from all matched categories
-    let domainTemplates = [];
-    matchedCategories.forEach(categoryName => {
-        if (operatorMappings.categories[categoryName]) {
-            domainTemplates.push(...operatorMappings.categories[categoryName].operators);
-        }
-    });
-    
-    // Add some default templates for variety (unless we're already using default)
-    if (!matchedCategories.includes('default') && operatorMappings.categories.default) {
-        const defaultTemplates = operatorMappings.categories.default.operators;
-        const defaultCount = Math.floor(defaultTemplates.length * GENERIC_TEMPLATE_RATIO);
+    sessions.forEach(meta => {
+        const item = document.createElement('li');
+        item.className = meta.id === sessionLibrary.activeSessionId ? 'session-item active' : 'session-item';
+        item.dataset.sessionId = meta.id;
         
-        // Use Fisher-Yates shuffle to select random templates efficiently
-        const shuffled = [...defaultTemplates];
-        for (let i = shuffled.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
-            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
-        }
+        const info = document.createElement('div');
+        info.className = 'session-info';
         
-        domainTemplates.push(...shuffled.slice(0, defaultCount));
-    }
-    
-    // Add context-aware templates based on history (with metadata)
-    const currentPath = getCurrentPath();
-    if (currentPath.length > 2) {
-        domainTemplates.push(
-            { text: 'Pivot to opposite direction', weight: 1.5, difficulty: 'high', phase: 'validation' },
-            { text: 'Return to initial concept', weight: 1.3, difficulty: 'medium', phase: 'validation' },
-            { text: 'Merge last 2 ideas', weight: 1.4, difficulty: 'medium', phase: 'refinement' },
-            { text: 'Challenge the core assumption', weight: 1.6, difficulty: 'high', phase: 'validation' }
-        );
-    }
-    
-    return domainTemplates;
+        const name = document.createElement('strong');
+        name.textContent = meta.name || 'Untitled session';
+        
+        const details = document.createElement('span');
+        details.className = 'session-details';
+        const modified = new Date(meta.updatedAt).toLocaleString();
+        details.textContent = meta.domain
+            ? `${meta.domain} · ${meta.stepCount} steps · ${meta.nodeCount} nodes · ${modified}`
+            : `Empty session · ${modified}`;
+        
+        info.appendChild(name);
+        info.appendChild(details);
+        
+        const actions = document.createElement('div');
+        actions.className = 'session-actions';
+        [['open', 'Open'], ['rename', 'Rename'], ['duplicate', 'Duplicate'], ['delete', 'Delete']].forEach(([action, label]) => {
+            const button = document.createElement('button');
+            button.className = action === 'delete' ? 'session-action-btn delete' : 'session-action-btn';
+            button.dataset.action = action;
+            button.textContent = label;
+            button.title = `${label} "${meta.name}"`;
+            actions.appendChild(button);
+        });
+        
+        item.appendChild(info);
+        item.appendChild(actions);
+        sessionList.appendChild(item);
+    });
 }
 
 /**
- * Update the prompt based on context
+ * Show the screen matching the current session (generation if a domain is set)
  */
-function updatePrompt() {
-    const currentPath = getCurrentPath();
-    const step = currentPath.length + 1;
-    let prompt = '';
-    
-    if (step === 1) {
-        prompt = `Let's explore ideas in the "${context.domain}" space. Where should we start?`;
-    } else if (step === 2) {
-        prompt = `Great! You chose "${currentPath[currentPath.length - 1]}". What's the next refinement?`;
+function showSessionScreen() {
+    if (context.domain) {
+        if (!generationScreen.classList.contains('active')) {
+            treeView.needsFit = true;
+        }
+        domainInputScreen.classList.remove('active');
+        generationScreen.classList.add('active');
+        currentDomainDisplay.textContent = context.domain;
+        updateSeedDisplay();
+        generateNextStep();
     } else {
-        const recentChoices = currentPath.slice(-2).join('" → "');
-        prompt = `Building on "${recentChoices}"... What direction next?`;
+        generationScreen.classList.remove('active');
+        domainInputScreen.classList.add('active');
+        domainInput.value = '';
+        seedInput.value = '';
+        customInput.value = '';
+        startCategoryEdits = { added: [], removed: [] };
+        renderDetectedCategories();
+        renderSessionList();
     }
     
-    generationPrompt.textContent = prompt;
+    updateUndoButtons();
 }
 
 /**
- * Get current path from root to current node
+ * Remember the session as it is now, so the action about to happen can be undone
+ * @param {string} label - Human-readable description of the action
+ * @param {string} mergeKey - Consecutive actions with the same key share one entry,
+ *     which keeps the session from before the first of them (optional)
  */
-function getCurrentPath() {
-    const path = [];
-    let node = context.currentNode;
-    
-    while (node !== null) {
-        path.unshift(node.choice);
-        node = node.parent;
+function recordUndoableAction(label, mergeKey = null) {
+    const lastEntry = undoHistory.undoStack[undoHistory.undoStack.length - 1];
+    if (mergeKey && lastEntry && lastEntry.mergeKey === mergeKey && undoHistory.redoStack.length === 0) {
+        lastEntry.label = label;
+        return;
     }
     
-    return path;
+    undoHistory.undoStack.push({ label: label, state: captureSessionState(), mergeKey: mergeKey });
+    if (undoHistory.undoStack.length > MAX_UNDO_STEPS) {
+        undoHistory.undoStack.shift();
+    }
+    // A new action invalidates anything that was undone before it
+    undoHistory.redoStack = [];
 }
 
 /**
- * Determine the appropriate phase based on step count
- * Returns the phase key (EXPLORATION, REFINEMENT, or VALIDATION)
- * @param {number} stepCount - The step count to determine phase for
- * @param {boolean} respectOverride - Whether to respect manual override (default: true)
+ * Undo the most recent session action
  */
-function determinePhaseFromSteps(stepCount, respectOverride = true) {
-    // Check manual override first (if enabled)
-    if (respectOverride && context.manualPhaseOverride) {
-        return context.manualPhaseOverride;
+function undo() {
+    // After a reset the start screen has no history of its own: undo reopens the session
+    if (!sessionLibrary.activeSessionId && resetSessionId) {
+        const sessionId = resetSessionId;
+        resetSessionId = null;
+        openSession(sessionId);
+        return;
     }
     
-    // Auto-advance based on step count
-    for (const [phaseKey, phaseData] of Object.entries(PHASES)) {
-        const [minStep, maxStep] = phaseData.stepRange;
-        if (stepCount >= minStep && stepCount <= maxStep) {
-            return phaseKey;
-        }
-    }
+    const entry = undoHistory.undoStack.pop();
+    if (!entry) return;
     
-    // Default to validation for very high step counts
-    return 'VALIDATION';
+    undoHistory.redoStack.push({ label: entry.label, state: captureSessionState() });
+    restoreSessionState(entry.state);
+    saveStateToLocalStorage();
+    showSessionScreen();
 }
 
 /**
- * Update the current phase based on history length
+ * Redo the most recently undone session action
  */
-function updateCurrentPhase() {
-    const currentPath = getCurrentPath();
-    const stepCount = currentPath.length;
-    context.currentPhase = determinePhaseFromSteps(stepCount);
+function redo() {
+    const entry = undoHistory.redoStack.pop();
+    if (!entry) return;
+    
+    undoHistory.undoStack.push({ label: entry.label, state: captureSessionState() });
+    restoreSessionState(entry.state);
+    saveStateToLocalStorage();
+    showSessionScreen();
 }
 
 /**
- * Update the history display
+ * Update undo/redo buttons to reflect what can be undone or redone
  */
-function updateHistoryDisplay() {
-    historyPath.innerHTML = '';
+function updateUndoButtons() {
+    const undoEntry = undoHistory.undoStack[undoHistory.undoStack.length - 1];
+    const redoEntry = undoHistory.redoStack[undoHistory.redoStack.length - 1];
     
-    const currentPath = getCurrentPath();
+    undoBtn.disabled = !undoEntry;
+    undoBtn.title = undoEntry ? `Undo: ${undoEntry.label} (Ctrl+Z)` : 'Nothing to undo';
+    redoBtn.disabled = !redoEntry;
+    redoBtn.title = redoEntry ? `Redo: ${redoEntry.label} (Ctrl+Shift+Z)` : 'Nothing to redo';
     
-    if (currentPath.length === 0) {
-        historyPath.innerHTML = '<span class="history-item" style="color: #999;">Start your journey...</span>';
-        return;
-    }
+    // On the start screen, only offer undo when it brings a session back
+    const canReopen = !sessionLibrary.activeSessionId && Boolean(resetSessionId);
+    domainUndoBtn.hidden = !undoEntry && !canReopen;
+    domainUndoBtn.textContent = canReopen ? '↶ Undo: Reset session' : undoEntry ? `↶ Undo: ${undoEntry.label}` : '';
+}
+
+/**
+ * Handle Ctrl+Z / Ctrl+Shift+Z (and Ctrl+Y) keyboard shortcuts
+ */
+function handleUndoShortcut(event) {
+    if (!(event.ctrlKey || event.metaKey)) return;
     
-    // Show only last 10 items
-    const recentHistory = currentPath.slice(-10);
-    const startIndex = currentPath.length - recentHistory.length;
+    // Don't change the session behind an open annotation editor
+    if (annotationTarget) return;
     
-    // Build path from root to current, collecting nodes
-    const pathNodes = [];
-    let node = context.currentNode;
-    while (node !== null) {
-        pathNodes.unshift(node);
-        node = node.parent;
+    // Leave text fields to their native undo
+    const tagName = event.target.tagName;
+    if (tagName === 'INPUT' || tagName === 'TEXTAREA') return;
+    
+    const key = event.key.toLowerCase();
+    if (key === 'z' && !event.shiftKey) {
+        event.preventDefault();
+        undo();
+    } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+        event.preventDefault();
+        redo();
     }
-    const recentNodes = pathNodes.slice(-10);
+}
+
+/**
+ * Serialize a tree node for storage
+ */
+function serializeNode(node) {
+    if (!node) return null;
     
-    recentNodes.forEach((node, index) => {
-        const item = document.createElement('span');
-        item.className = 'history-item clickable';
-        item.textContent = `${startIndex + index + 1}. ${node.choice}`;
-        item.style.cursor = 'pointer';
-        item.dataset.nodeId = node.id; // Store node ID for event delegation
-        
-        historyPath.appendChild(item);
-    });
+    return {
+        id: node.id,
+        choice: node.choice,
+        phase: node.phase,
+        phaseOverride: node.phaseOverride,
+        phaseFloor: node.phaseFloor,
+        notes: node.notes,
+        rating: node.rating,
+        tags: node.tags,
+        favourite: node.favourite,
+        provenance: node.provenance,
+        createdAt: node.createdAt,
+        offeredOptions: node.offeredOptions,
+        children: node.children.map(child => serializeNode(child))
+    };
 }
 
 /**
- * Get human-readable step range for a phase
+ * Deserialize a node from storage and reconstruct the tree
  */
-function getPhaseStepRangeText(phaseKey) {
-    const range = PHASES[phaseKey].stepRange;
-    const [min, max] = range;
+function deserializeNode(data, parent = null) {
+    if (!data) return null;
     
-    // Special handling for initial step (0) and infinity
-    const minDisplay = min === 0 ? 1 : min + 1;
+    const node = new HistoryNode(data.choice, parent);
+    node.id = data.id; // Preserve original ID
     
-    if (max === Infinity) {
-        return `step ${minDisplay}+`;
-    } else {
-        const maxDisplay = max + 1;
-        if (minDisplay === maxDisplay) {
-            return `step ${minDisplay}`;
-        }
-        return `steps ${minDisplay}-${maxDisplay}`;
+    // Phase keys from a different phase model are dropped
+    node.phase = PHASES[data.phase] ? data.phase : null;
+    node.phaseOverride = PHASES[data.phaseOverride] ? data.phaseOverride : null;
+    node.phaseFloor = PHASES[data.phaseFloor] ? data.phaseFloor : null;
+    
+    // Annotations (absent from sessions saved before they existed)
+    node.notes = typeof data.notes === 'string' ? data.notes : '';
+    node.rating = Number.isInteger(data.rating) ? Math.min(Math.max(data.rating, 0), MAX_RATING) : 0;
+    node.tags = Array.isArray(data.tags) ? data.tags.filter(tag => typeof tag === 'string') : [];
+    node.favourite = data.favourite === true;
+    
+    // Provenance (absent from older sessions)
+    node.provenance = data.provenance && typeof data.provenance === 'object' ? data.provenance : null;
+    node.createdAt = typeof data.createdAt === 'string' ? data.createdAt : null;
+    
+    // Option set the choice was made from (absent from older sessions)
+    node.offeredOptions = Array.isArray(data.offeredOptions)
+        ? data.offeredOptions.filter(option => option && typeof option.text === 'string' && option.text)
+        : [];
+    
+    // Recursively deserialize children
+    if (data.children && data.children.length > 0) {
+        node.children = data.children.map(childData => deserializeNode(childData, node));
     }
+    
+    return node;
 }
 
 /**
- * Update the phase display in the UI
+ * Show error message
  */
-function updatePhaseDisplay() {
-    if (!currentPhaseDisplay || !phaseDescriptionDisplay) {
-        return; // Elements not present in UI
-    }
-    
-    const phaseData = PHASES[context.currentPhase];
-    const currentPath = getCurrentPath();
-    const stepCount = currentPath.length;
-    
-    // Update phase name with color
-    currentPhaseDisplay.textContent = phaseData.name;
-    currentPhaseDisplay.style.color = phaseData.color;
+function showError(element, message) {
+    element.textContent = message;
+    element.classList.add('show');
+    setTimeout(() => {
+        element.classList.remove('show');
+    }, 3000);
+}
+
+/**
+ * Clear error message
+ */
+function clearError(element) {
+    element.textContent = '';
+    element.classList.remove('show');
+}
+
+/**
+ * Get the categories shown on the start screen: those detected from the
+ * domain, minus the ones removed and plus the ones added by hand
+ * @returns {Object[]} { name, score, keywords } (see scoreDomainCategories())
+ */
+function getStartScreenCategories() {
+    const detected = scoreDomainCategories(domainInput.value)
+        .filter(category => !startCategoryEdits.removed.includes(category.name));
+    const added = startCategoryEdits.added
+        .filter(name => operatorMappings.categories[name] && !detected.some(category => category.name === name))
+        .map(name => ({ name, score: MANUAL_CATEGORY_SCORE, keywords: [] }));
+    return [...detected, ...added];
+}
+
+/**
+ * Show the categories detected for the domain being typed, with their share
+ * of the options, so they can be removed or others added before starting
+ */
+function renderDetectedCategories() {
+    categoryDetection.hidden = !domainInput.value.trim() || !operatorMappings;
+    if (categoryDetection.hidden) return;
     
-    // Update phase description
-    const descriptions = {
-        'EXPLORATION': `Expansive thinking - exploring broad possibilities (${getPhaseStepRangeText('EXPLORATION')})`,
-        'REFINEMENT': `Focused refinement - making ideas concrete (${getPhaseStepRangeText('REFINEMENT')})`,
-        'VALIDATION': `Executable validation - ensuring ideas are actionable (${getPhaseStepRangeText('VALIDATION')})`
-    };
-    phaseDescriptionDisplay.textContent = descriptions[context.currentPhase];
+    const categories = getStartScreenCategories();
+    // Same shares the session will use once started
+    const blend = blendCategories(categories);
+    const getShare = name => blend.find(category => category.name === name).share;
     
-    // Update phase override buttons active state
-    phaseOverrideButtons.forEach(btn => {
-        const btnPhase = btn.dataset.phase;
-        if (btnPhase === context.currentPhase) {
-            btn.classList.add('active');
-        } else {
-            btn.classList.remove('active');
-        }
+    detectedCategoriesList.innerHTML = '';
+    categories.forEach(category => {
+        const chip = document.createElement('li');
+        chip.className = 'category-chip';
+        chip.title = category.keywords.length > 0
+            ? `Matched ${category.keywords.map(keyword => `"${keyword}"`).join(', ')}`
+            : 'Added by hand';
         
-        // Show if manual override is active
-        if (context.manualPhaseOverride) {
-            btn.classList.add('override-active');
-        } else {
-            btn.classList.remove('override-active');
-        }
+        const name = document.createElement('span');
+        name.textContent = category.name;
+        const share = document.createElement('span');
+        share.className = 'category-share';
+        share.textContent = `${Math.round(getShare(category.name) * 100)}%`;
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'category-remove-btn';
+        removeBtn.textContent = '×';
+        removeBtn.setAttribute('aria-label', `Remove ${category.name}`);
+        removeBtn.addEventListener('click', () => removeStartCategory(category.name));
+        
+        chip.append(name, share, removeBtn);
+        detectedCategoriesList.appendChild(chip);
     });
+    
+    // Categories that can still be added (default is always mixed in)
+    const available = Object.keys(operatorMappings.categories)
+        .filter(name => name !== 'default' && !categories.some(category => category.name === name));
+    addCategorySelect.innerHTML = '';
+    addCategorySelect.appendChild(new Option('+ Add category', ''));
+    available.forEach(name => addCategorySelect.appendChild(new Option(name, name)));
+    addCategorySelect.hidden = available.length === 0;
+    
+    const genericShare = blend.some(category => category.name === 'default') ? getShare('default') : 0;
+    categoryDetectionHint.textContent = categories.length > 0
+        ? `Options are drawn from these categories in proportion to how well they match${genericShare > 0 ? `, plus ${Math.round(genericShare * 100)}% general operators` : ''}.`
+        : 'No category matches this domain, so general operators are used. Add a category to steer the options.';
 }
 
 /**
- * Handle phase override button clicks
+ * Remove a category from the start screen selection
  */
-function handlePhaseOverride(phaseKey) {
-    if (context.manualPhaseOverride === phaseKey) {
-        // Clicking the same phase again removes override (back to auto)
-        context.manualPhaseOverride = null;
+function removeStartCategory(name) {
+    if (startCategoryEdits.added.includes(name)) {
+        startCategoryEdits.added = startCategoryEdits.added.filter(added => added !== name);
     } else {
-        // Set manual override
-        context.manualPhaseOverride = phaseKey;
+        startCategoryEdits.removed.push(name);
     }
-    
-    // Update phase and regenerate
-    updateCurrentPhase();
-    saveStateToLocalStorage();
-    generateNextStep();
+    renderDetectedCategories();
 }
 
 /**
- * Navigate to a specific node in the history tree
+ * Add a category to the start screen selection
  */
-function navigateToNode(node) {
-    // Set this node as the current node
-    context.currentNode = node;
-    
-    // Save state to localStorage
-    saveStateToLocalStorage();
-    
-    // Regenerate options from this point
-    generateNextStep();
+function addStartCategory(name) {
+    startCategoryEdits.removed = startCategoryEdits.removed.filter(removed => removed !== name);
+    if (!getStartScreenCategories().some(category => category.name === name)) {
+        startCategoryEdits.added.push(name);
+    }
+    renderDetectedCategories();
+    addCategorySelect.focus();
 }
 
 /**
- * Handle click on history path (event delegation)
+ * Check a session's share of general operators (a fraction from 0 to 1)
  */
-function handleHistoryClick(event) {
-    const clickedItem = event.target.closest('.history-item.clickable');
-    if (!clickedItem) return;
-    
-    const nodeId = clickedItem.dataset.nodeId;
-    if (!nodeId) return;
-    
-    // Find the node with this ID
-    const node = findNodeById(context.rootNode, nodeId);
-    if (node) {
-        navigateToNode(node);
-    }
+function isValidGenericRatio(ratio) {
+    return typeof ratio === 'number' && ratio >= 0 && ratio <= 1;
 }
 
 /**
- * Find a node by ID in the tree
+ * Render the category picker: every category with its share of the options,
+ * the ones detected from the domain marked, and the general operator mix
  */
-function findNodeById(startNode, targetId) {
-    if (!startNode) return null;
+function renderCategoryPanel() {
+    if (!operatorMappings) return;
     
-    // Check if this is the target node
-    if (startNode.id === targetId) {
-        return startNode;
-    }
+    const detected = scoreDomainCategories(context.domain);
+    const blend = getCategoryBlend();
+    const selected = blend.filter(category => category.name !== 'default').map(category => category.name);
+    categoryPanelSummary.textContent = `(${selected.length > 0 ? selected.join(', ') : 'general operators only'})`;
     
-    // Search in children
-    for (const child of startNode.children) {
-        const found = findNodeById(child, targetId);
-        if (found) return found;
+    // The list is rebuilt, so keep focus on the checkbox that was just toggled
+    const focusedCategory = categoryToggleList.contains(document.activeElement)
+        ? document.activeElement.dataset.category
+        : null;
+    
+    categoryToggleList.innerHTML = '';
+    Object.keys(operatorMappings.categories)
+        .filter(name => name !== 'default')
+        .forEach(name => {
+            const match = detected.find(category => category.name === name);
+            const share = blend.find(category => category.name === name);
+            const item = document.createElement('li');
+            item.classList.toggle('active', Boolean(share));
+            
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = Boolean(share);
+            checkbox.dataset.field = 'category';
+            checkbox.dataset.category = name;
+            label.append(checkbox, name);
+            item.appendChild(label);
+            
+            if (match) {
+                const badge = createTextElement('span', 'category-detected', 'detected');
+                badge.title = `Matched ${match.keywords.map(keyword => `"${keyword}"`).join(', ')}`;
+                item.appendChild(badge);
+            }
+            if (share) {
+                item.appendChild(createTextElement('span', 'category-share', `${Math.round(share.share * 100)}%`));
+            }
+            categoryToggleList.appendChild(item);
+        });
+    
+    if (focusedCategory) {
+        const checkbox = Array.from(categoryToggleList.querySelectorAll('input'))
+            .find(input => input.dataset.category === focusedCategory);
+        if (checkbox) checkbox.focus();
     }
     
-    return null;
+    const ratio = Math.round(getGenericRatio() * 100);
+    genericRatioInput.value = ratio;
+    genericRatioOutput.textContent = `${ratio}%`;
+    genericRatioInput.disabled = !operatorMappings.categories.default;
 }
 
 /**
- * Handle option selection
+ * Handle category toggles and the general operator slider of the category picker
  */
-function selectOption(option, templateKey) {
-    // Track operator usage for frequency-based biasing using template key
-    if (templateKey) {
-        operatorUsageCount[templateKey] = (operatorUsageCount[templateKey] || 0) + 1;
-    }
+function handleCategoryChange(event) {
+    const field = event.target;
     
-    // Create new node and add to tree
-    const newNode = new HistoryNode(option, context.currentNode);
-    
-    if (context.currentNode === null) {
-        // First choice - this becomes the root
-        context.rootNode = newNode;
+    if (field.dataset.field === 'category') {
+        const names = getSelectedCategories().map(category => category.name);
+        const name = field.dataset.category;
+        recordUndoableAction(`${field.checked ? 'Add' : 'Remove'} category ${name}`);
+        context.selectedCategories = field.checked ? [...names, name] : names.filter(selected => selected !== name);
+    } else if (field.dataset.field === 'generic-ratio') {
+        recordUndoableAction('Change general operator mix');
+        context.genericRatio = Number(field.value) / 100;
     } else {
-        // Add as child to current node
-        context.currentNode.children.push(newNode);
+        return;
     }
     
-    // Move to the new node
-    context.currentNode = newNode;
-    
-    // Save state to localStorage
+    // New options for the new mix
     saveStateToLocalStorage();
-    
-    // Generate next set of options (infinite loop)
     generateNextStep();
 }
 
 /**
- * Handle custom input submission
+ * Go back to the categories detected from the domain and the default operator mix
  */
-function handleCustomInput() {
-    const customValue = customInput.value.trim();
+function resetSessionCategories() {
+    recordUndoableAction('Reset categories');
+    context.selectedCategories = null;
+    context.genericRatio = null;
+    saveStateToLocalStorage();
+    generateNextStep();
+}
+
+/**
+ * Start the generation process
+ */
+function startGeneration() {
+    const domain = domainInput.value.trim();
     
-    if (!customValue) {
-        showError(customError, 'Please enter your custom idea!');
-        customInput.focus();
+    if (!domain) {
+        showError(domainError, 'Please enter a domain to explore!');
+        domainInput.focus();
+        return;
+    }
+    
+    clearError(domainError);
+    
+    // Every start is a new session in the library, so earlier sessions are never overwritten
+    createSession(domain);
+    resetSessionId = null;
+    
+    // Set the domain in context and initialize tree
+    context.domain = domain;
+    context.seed = seedInput.value.trim();
+    context.selectedCategories = getStartScreenCategories().map(category => category.name);
+    context.rootNode = null;
+    context.currentNode = null;
+    startCategoryEdits = { added: [], removed: [] };
+    
+    // Save initial state
+    saveStateToLocalStorage();
+    
+    // Switch screens
+    domainInputScreen.classList.remove('active');
+    generationScreen.classList.add('active');
+    treeView.needsFit = true;
+    
+    // Display domain
+    currentDomainDisplay.textContent = domain;
+    updateSeedDisplay();
+    
+    // Generate first set of options
+    generateNextStep();
+}
+
+/**
+ * Generate the next step in the infinite loop
+ */
+function generateNextStep() {
+    // Clear previous options
+    optionsContainer.innerHTML = '';
+    customInput.value = '';
+    
+    // Update current phase based on step count
+    updateCurrentPhase();
+    
+    // Update history display
+    updateHistoryDisplay();
+    
+    // Update categories, tree view, analytics and comparison
+    renderCategoryPanel();
+    renderTreeView();
+    renderAnalytics();
+    renderComparison();
+    
+    // Update phase display
+    updatePhaseDisplay();
+    
+    // Update prompt
+    updatePrompt();
+    
+    // Shuffles and pins only apply to the node they were made on
+    const nodeId = context.currentNode ? context.currentNode.id : null;
+    if (optionShuffle.nodeId !== nodeId) {
+        optionShuffle = { nodeId, count: 0, pinned: [], dismissed: {} };
+    }
+    
+    // Seed the generator so the same seed, domain and path give the same options
+    seedRandomForCurrentStep(optionShuffle.count);
+    
+    // Generate 4-6 random options, pinned ones first
+    const numOptions = Math.floor(rng() * (MAX_OPTIONS - MIN_OPTIONS + 1)) + MIN_OPTIONS;
+    const newCount = Math.max(numOptions - optionShuffle.pinned.length, 0);
+    currentOptions = [
+        ...optionShuffle.pinned,
+        ...generateOptions(newCount, optionShuffle.pinned, optionShuffle.dismissed)
+    ];
+    
+    // Create option cards (number keys 1-6 pick them)
+    currentOptions.forEach((optionData, index) => {
+        const card = document.createElement('div');
+        card.className = 'option-card';
+        
+        const button = document.createElement('button');
+        button.className = 'option-btn';
+        // Option text can come from a share link or an import, so it is never parsed as HTML
+        const key = createTextElement('kbd', 'option-key', String(index + 1));
+        key.setAttribute('aria-hidden', 'true');
+        button.append(key, createTextElement('span', null, optionData.text));
+        button.title = describeProvenance(optionData.provenance);
+        button.setAttribute('aria-keyshortcuts', String(index + 1));
+        button.addEventListener('click', () => selectOption(optionData));
+        
+        const pinBtn = document.createElement('button');
+        pinBtn.className = 'option-pin-btn';
+        pinBtn.textContent = '📌';
+        pinBtn.addEventListener('click', () => togglePinnedOption(optionData, card));
+        
+        card.append(button, pinBtn);
+        updateOptionPinState(card, optionData);
+        optionsContainer.appendChild(card);
+    });
+    
+    renderUnexploredAlternatives();
+    focusOptionsIfIdle();
+    announceStep(currentOptions);
+}
+
+/**
+ * Collect the options offered at a node that were never chosen there, with
+ * the option set each came from (so a new branch records it too)
+ */
+function getUnexploredAlternatives(node) {
+    if (!node) return [];
+    
+    const chosenTexts = new Set(node.children.map(child => child.choice));
+    const alternatives = [];
+    node.children.forEach(child => {
+        child.offeredOptions.forEach(option => {
+            if (!chosenTexts.has(option.text) && !alternatives.some(alt => alt.option.text === option.text)) {
+                alternatives.push({ option, offeredOptions: child.offeredOptions });
+            }
+        });
+    });
+    return alternatives;
+}
+
+/**
+ * Get the options passed up for the first idea, kept on the root node
+ */
+function getRootAlternatives() {
+    return context.rootNode ? context.rootNode.offeredOptions.filter(option => !option.chosen) : [];
+}
+
+/**
+ * Show the unexplored alternatives of the current node (hidden when there are none)
+ * At the root, the options passed up for the first idea are listed as well;
+ * the tree has a single root, so they can't be branched into
+ */
+function renderUnexploredAlternatives() {
+    const alternatives = getUnexploredAlternatives(context.currentNode);
+    const firstIdeaAlternatives = context.currentNode && context.currentNode === context.rootNode ? getRootAlternatives() : [];
+    alternativesContainer.innerHTML = '';
+    rootAlternativesContainer.innerHTML = '';
+    alternativesSection.hidden = alternatives.length === 0 && firstIdeaAlternatives.length === 0;
+    alternativesHint.hidden = alternatives.length === 0;
+    rootAlternatives.hidden = firstIdeaAlternatives.length === 0;
+    
+    alternatives.forEach(({ option, offeredOptions }) => {
+        const button = document.createElement('button');
+        button.className = 'alternative-btn';
+        button.textContent = option.text;
+        button.title = [describeProvenance(option.provenance), 'Click to branch into this idea'].filter(Boolean).join('\n');
+        button.addEventListener('click', () => selectOption(option, offeredOptions));
+        alternativesContainer.appendChild(button);
+    });
+    
+    firstIdeaAlternatives.forEach(option => {
+        const chip = createTextElement('span', 'alternative-chip', option.text);
+        chip.title = describeProvenance(option.provenance) || '';
+        rootAlternativesContainer.appendChild(chip);
+    });
+}
+
+/**
+ * Replace the unpinned options of the current node with new ones, without
+ * changing the tree. The replaced operators become a little less likely
+ */
+function shuffleOptions() {
+    currentOptions.forEach(optionData => {
+        if (!optionShuffle.pinned.includes(optionData) && optionData.templateKey) {
+            const key = optionData.templateKey;
+            optionShuffle.dismissed[key] = (optionShuffle.dismissed[key] || 0) + 1;
+        }
+    });
+    optionShuffle.count++;
+    generateNextStep();
+}
+
+/**
+ * Pin an option so it survives shuffles, or unpin it
+ */
+function togglePinnedOption(optionData, card) {
+    const index = optionShuffle.pinned.indexOf(optionData);
+    if (index === -1) {
+        optionShuffle.pinned.push(optionData);
+    } else {
+        optionShuffle.pinned.splice(index, 1);
+    }
+    updateOptionPinState(card, optionData);
+}
+
+/**
+ * Show whether an option card is pinned
+ */
+function updateOptionPinState(card, optionData) {
+    const pinned = optionShuffle.pinned.includes(optionData);
+    const pinBtn = card.querySelector('.option-pin-btn');
+    card.classList.toggle('pinned', pinned);
+    pinBtn.setAttribute('aria-pressed', String(pinned));
+    pinBtn.setAttribute('aria-label', `${pinned ? 'Unpin' : 'Pin'} "${optionData.text}"`);
+    pinBtn.title = pinned ? 'Pinned: kept when shuffling (click to unpin)' : 'Keep this option when shuffling';
+}
+
+/**
+ * Move focus to the first option when focus was lost (the clicked option or
+ * history item was re-rendered away) or was already on the options, so
+ * keyboard users can keep going without tabbing back through the page
+ */
+function focusOptionsIfIdle() {
+    const active = document.activeElement;
+    const focusLost = !active || active === document.body || !active.isConnected;
+    if (focusLost || optionsContainer.contains(active)) {
+        const firstOption = optionsContainer.querySelector('.option-btn');
+        if (firstOption) {
+            firstOption.focus({ preventScroll: true });
+        }
+    }
+}
+
+/**
+ * Announce the phase (when it changed) and the new options to screen readers
+ */
+function announceStep(options) {
+    const parts = [];
+    if (context.currentPhase !== lastAnnouncedPhase) {
+        parts.push(`${PHASES[context.currentPhase].name} phase.`);
+        lastAnnouncedPhase = context.currentPhase;
+    }
+    parts.push(`${options.length} options:`);
+    options.forEach((optionData, index) => parts.push(`${index + 1}, ${optionData.text}.`));
+    liveAnnouncer.textContent = parts.join(' ');
+}
+
+/**
+ * Show the session seed on the generation screen (hidden when unseeded)
+ */
+function updateSeedDisplay() {
+    seedBadge.hidden = !context.seed;
+    currentSeedDisplay.textContent = context.seed;
+}
+
+/**
+ * Update the prompt based on context
+ */
+function updatePrompt() {
+    const currentPath = getCurrentPath();
+    const step = currentPath.length + 1;
+    let prompt = '';
+    
+    if (step === 1) {
+        prompt = `Let's explore ideas in the "${context.domain}" space. Where should we start?`;
+    } else if (step === 2) {
+        prompt = `Great! You chose "${currentPath[currentPath.length - 1]}". What's the next refinement?`;
+    } else {
+        const recentChoices = currentPath.slice(-2).join('" → "');
+        prompt = `Building on "${recentChoices}"... What direction next?`;
+    }
+    
+    generationPrompt.textContent = prompt;
+}
+
+/**
+ * Get the phase key a node's choice was made in
+ * Nodes saved before phases were tracked fall back to the step-count phase
+ */
+function getNodePhase(node) {
+    return node.phase || determinePhaseFromSteps(getNodeDepth(node));
+}
+
+/**
+ * Determine the phase for the next choice after a node (null = before the first choice)
+ * The branch's manual override wins; otherwise the furthest phase reached by any
+ * advance rule or by an explicit "Done with this phase" along the path
+ */
+function determinePhaseForNode(node) {
+    if (!node) {
+        return context.manualPhaseOverride || getFirstPhaseKey();
+    }
+    if (node.phaseOverride) {
+        return node.phaseOverride;
+    }
+    
+    let order = 0;
+    phaseAdvanceRules.forEach(rule => {
+        order = Math.max(order, PHASE_ADVANCE_RULES[rule.type](node, rule));
+    });
+    for (let ancestor = node; ancestor; ancestor = ancestor.parent) {
+        if (ancestor.phaseFloor) {
+            order = Math.max(order, PHASES[ancestor.phaseFloor].order);
+        }
+    }
+    
+    const phaseKeys = Object.keys(PHASES);
+    return phaseKeys[Math.min(order, phaseKeys.length - 1)];
+}
+
+/**
+ * Update the current phase for the current position in the tree
+ */
+function updateCurrentPhase() {
+    context.currentPhase = determinePhaseForNode(context.currentNode);
+}
+
+/**
+ * Update the history display
+ */
+function updateHistoryDisplay() {
+    historyPath.innerHTML = '';
+    
+    const currentPath = getCurrentPath();
+    
+    if (currentPath.length === 0) {
+        historyPath.innerHTML = '<span class="history-item" style="color: #999;">Start your journey...</span>';
+        return;
+    }
+    
+    // Show only last 10 items
+    const recentHistory = currentPath.slice(-10);
+    const startIndex = currentPath.length - recentHistory.length;
+    
+    // Build path from root to current, collecting nodes
+    const pathNodes = getCurrentPathNodes();
+    const recentNodes = pathNodes.slice(-10);
+    
+    recentNodes.forEach((node, index) => {
+        const item = document.createElement('span');
+        item.className = hasAnnotations(node) ? 'history-item clickable annotated' : 'history-item clickable';
+        item.textContent = `${startIndex + index + 1}. ${node.favourite ? '★ ' : ''}${node.choice}`;
+        item.style.cursor = 'pointer';
+        item.dataset.nodeId = node.id; // Store node ID for event delegation
+        item.setAttribute('role', 'button');
+        item.tabIndex = 0;
+        if (node === context.currentNode) {
+            item.setAttribute('aria-current', 'step');
+            item.setAttribute('aria-label', `Step ${startIndex + index + 1}: ${node.choice} (current idea)`);
+        } else {
+            item.setAttribute('aria-label', `Go back to step ${startIndex + index + 1}: ${node.choice}`);
+        }
+        item.title = [describeProvenance(node.provenance, node.createdAt), describeAnnotations(node)]
+            .filter(Boolean).join('\n') || 'Go back to this idea';
+        
+        const annotateBtn = document.createElement('button');
+        annotateBtn.className = 'history-annotate-btn';
+        annotateBtn.textContent = '✎';
+        annotateBtn.title = 'Add notes, rating and tags';
+        annotateBtn.setAttribute('aria-label', `Annotate "${node.choice}"`);
+        item.appendChild(annotateBtn);
+        
+        historyPath.appendChild(item);
+    });
+}
+
+/**
+ * Get human-readable step range for a phase
+ */
+function getPhaseStepRangeText(phaseKey) {
+    const range = PHASES[phaseKey].stepRange;
+    const [min, max] = range;
+    
+    // Special handling for initial step (0) and infinity
+    const minDisplay = min === 0 ? 1 : min + 1;
+    
+    if (max === Infinity) {
+        return `step ${minDisplay}+`;
+    } else {
+        const maxDisplay = max + 1;
+        if (minDisplay === maxDisplay) {
+            return `step ${minDisplay}`;
+        }
+        return `steps ${minDisplay}-${maxDisplay}`;
+    }
+}
+
+/**
+ * Update the phase display in the UI
+ */
+function updatePhaseDisplay() {
+    if (!currentPhaseDisplay || !phaseDescriptionDisplay) {
+        return; // Elements not present in UI
+    }
+    
+    const phaseData = PHASES[context.currentPhase];
+    
+    // Update phase name with color
+    currentPhaseDisplay.textContent = phaseData.name;
+    currentPhaseDisplay.style.color = phaseData.color;
+    
+    // Update phase description (step ranges only matter when advancing by step count)
+    const usesStepRule = phaseAdvanceRules.some(rule => rule.type === 'steps');
+    const rangeText = usesStepRule ? `(${getPhaseStepRangeText(context.currentPhase)})` : '';
+    phaseDescriptionDisplay.textContent = [phaseData.description, rangeText].filter(Boolean).join(' ');
+    
+    // "Done with this phase" needs a branch to advance and a phase to advance to
+    const nextPhaseKey = Object.keys(PHASES)[phaseData.order + 1];
+    advancePhaseBtn.disabled = !context.currentNode || !nextPhaseKey;
+    advancePhaseBtn.textContent = `Done with ${phaseData.name} →`;
+    advancePhaseBtn.title = nextPhaseKey
+        ? `Move this branch on to the ${PHASES[nextPhaseKey].name} phase`
+        : 'This is the last phase';
+    
+    // Update phase override buttons active state
+    phaseOverrideContainer.querySelectorAll('.phase-override-btn').forEach(btn => {
+        const btnPhase = btn.dataset.phase;
+        if (btnPhase === context.currentPhase) {
+            btn.classList.add('active');
+        } else {
+            btn.classList.remove('active');
+        }
+        
+        // Show if manual override is active
+        if (context.manualPhaseOverride) {
+            btn.classList.add('override-active');
+        } else {
+            btn.classList.remove('override-active');
+        }
+    });
+}
+
+/**
+ * Render one manual override button per phase in the phase model
+ */
+function renderPhaseOverrideButtons() {
+    phaseOverrideContainer.innerHTML = '';
+    
+    for (const [phaseKey, phaseData] of Object.entries(PHASES)) {
+        const button = document.createElement('button');
+        button.className = 'phase-override-btn';
+        button.dataset.phase = phaseKey;
+        button.title = `Switch to ${phaseData.name} phase`;
+        button.textContent = phaseData.name;
+        phaseOverrideContainer.appendChild(button);
+    }
+}
+
+/**
+ * Handle phase override button clicks
+ */
+function handlePhaseOverride(phaseKey) {
+    recordUndoableAction(context.manualPhaseOverride === phaseKey
+        ? 'Return to automatic phase'
+        : `Override phase to ${PHASES[phaseKey].name}`);
+    
+    if (context.manualPhaseOverride === phaseKey) {
+        // Clicking the same phase again removes override (back to auto)
+        context.manualPhaseOverride = null;
+    } else {
+        // Set manual override
+        context.manualPhaseOverride = phaseKey;
+    }
+    
+    // The override belongs to this branch: choices made from here inherit it
+    if (context.currentNode) {
+        context.currentNode.phaseOverride = context.manualPhaseOverride;
+    }
+    
+    // Update phase and regenerate
+    updateCurrentPhase();
+    saveStateToLocalStorage();
+    generateNextStep();
+}
+
+/**
+ * Describe where an idea came from (tooltips)
+ * Returns '' for nodes created before provenance was recorded
+ * @param {Object|null} provenance - See addChoiceNode()
+ * @param {string|null} createdAt - ISO timestamp (optional)
+ */
+function describeProvenance(provenance, createdAt = null) {
+    const lines = [];
+    if (provenance && provenance.source === 'custom') {
+        lines.push('Custom idea');
+    } else if (provenance) {
+        const details = [provenance.category, provenance.difficulty && `${provenance.difficulty} difficulty`].filter(Boolean);
+        lines.push(`Operator: "${provenance.operator}"${details.length > 0 ? ` (${details.join(', ')})` : ''}`);
+        
+        const slotValues = Object.entries(provenance.slots || {});
+        if (slotValues.length > 0) {
+            lines.push(slotValues.map(([name, value]) => `{${name}} = ${value}`).join(', '));
+        }
+    }
+    if (createdAt) {
+        lines.push(`Added ${new Date(createdAt).toLocaleString()}`);
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Get the choices from the root down to a node
+ */
+function getNodePath(node) {
+    const path = [];
+    for (let current = node; current; current = current.parent) {
+        path.unshift(current.choice);
+    }
+    return path;
+}
+
+/**
+ * Check whether a node has any notes, rating, tags or favourite flag
+ */
+function hasAnnotations(node) {
+    return Boolean(node.notes) || node.rating > 0 || node.tags.length > 0 || node.favourite;
+}
+
+/**
+ * Format a rating as stars, e.g. "★★★☆☆"
+ */
+function formatRating(rating) {
+    return '★'.repeat(rating) + '☆'.repeat(MAX_RATING - rating);
+}
+
+/**
+ * Summarize a node's favourite flag, rating and tags on one line (without notes)
+ */
+function summarizeAnnotations(node) {
+    const parts = [];
+    if (node.favourite) parts.push('★ Favourite');
+    if (node.rating > 0) parts.push(formatRating(node.rating));
+    if (node.tags.length > 0) parts.push(node.tags.map(tag => `#${tag}`).join(' '));
+    return parts.join(' · ');
+}
+
+/**
+ * Describe a node's annotations including notes (tooltips)
+ */
+function describeAnnotations(node) {
+    return [summarizeAnnotations(node), node.notes].filter(Boolean).join('\n');
+}
+
+/**
+ * Format notes as an indented Markdown quote
+ */
+function formatMarkdownNotes(notes, indent) {
+    return notes.split('\n').map(line => `${indent}> ${line}`.trimEnd()).join('\n') + '\n';
+}
+
+/**
+ * Parse the comma-separated tag field (a leading "#" is optional, duplicates are dropped)
+ */
+function parseTags(text) {
+    const tags = [];
+    text.split(',').forEach(part => {
+        const tag = part.trim().replace(/^#+/, '').trim();
+        if (tag && !tags.some(existing => existing.toLowerCase() === tag.toLowerCase())) {
+            tags.push(tag);
+        }
+    });
+    return tags;
+}
+
+/**
+ * Render the rating star buttons in the annotation editor
+ */
+function renderRatingStars() {
+    annotationRating.innerHTML = '';
+    for (let rating = 1; rating <= MAX_RATING; rating++) {
+        const star = document.createElement('button');
+        star.type = 'button';
+        star.className = 'rating-star';
+        star.dataset.rating = rating;
+        star.textContent = '★';
+        star.setAttribute('aria-label', `${rating} star${rating === 1 ? '' : 's'}`);
+        annotationRating.appendChild(star);
+    }
+}
+
+/**
+ * Show a rating in the annotation editor
+ */
+function setAnnotationRating(rating) {
+    annotationRating.dataset.rating = rating;
+    annotationRating.querySelectorAll('.rating-star').forEach(star => {
+        const starRating = Number(star.dataset.rating);
+        star.classList.toggle('filled', starRating <= rating);
+        star.setAttribute('aria-pressed', String(starRating === rating));
+    });
+}
+
+/**
+ * Open the annotation editor for a node
+ */
+function openAnnotationEditor(node) {
+    annotationTarget = node;
+    annotationChoice.textContent = node.choice;
+    annotationFavourite.checked = node.favourite;
+    setAnnotationRating(node.rating);
+    annotationTags.value = node.tags.join(', ');
+    annotationNotes.value = node.notes;
+    annotationModal.classList.add('active');
+    annotationNotes.focus();
+}
+
+/**
+ * Close the annotation editor without saving
+ */
+function closeAnnotationEditor() {
+    annotationTarget = null;
+    annotationModal.classList.remove('active');
+}
+
+/**
+ * Save the annotation editor's fields to its node
+ * Only the history path and tree are redrawn, so the offered options stay as they are
+ */
+function saveAnnotation() {
+    const node = annotationTarget;
+    if (!node) return;
+    
+    recordUndoableAction(`Annotate "${node.choice}"`);
+    
+    node.favourite = annotationFavourite.checked;
+    node.rating = Number(annotationRating.dataset.rating) || 0;
+    node.tags = parseTags(annotationTags.value);
+    node.notes = annotationNotes.value.trim();
+    
+    closeAnnotationEditor();
+    saveStateToLocalStorage();
+    updateHistoryDisplay();
+    renderTreeView();
+}
+
+/**
+ * Collect the favourite and rated ideas in the tree (or a subtree), best first
+ * @param {HistoryNode|null} root - Subtree to search (default: the whole tree)
+ */
+function collectHighlights(root = context.rootNode) {
+    const highlights = [];
+    const visit = (node) => {
+        if (node.favourite || node.rating > 0) {
+            highlights.push(node);
+        }
+        node.children.forEach(visit);
+    };
+    if (root) {
+        visit(root);
+    }
+    
+    return highlights.sort((a, b) => (Number(b.favourite) - Number(a.favourite)) || (b.rating - a.rating));
+}
+
+/**
+ * Create an empty comparison matrix with the default criteria
+ */
+function createDefaultComparison() {
+    return {
+        shortlist: [],  // IDs of the ideas being compared, in the order they were added
+        criteria: DEFAULT_COMPARISON_CRITERIA.map(criterion => ({ ...criterion })),
+        scores: {},     // { nodeId: { criterionId: score } }
+        sortBy: 'total' // 'total', 'order' or a criterion ID
+    };
+}
+
+/**
+ * Sanitize a saved or imported comparison matrix
+ * Shortlisted IDs that are no longer in the tree (e.g. after an undo) are dropped
+ */
+function normalizeComparison(data) {
+    if (!data || typeof data !== 'object') {
+        return createDefaultComparison();
+    }
+    
+    const criteria = Array.isArray(data.criteria)
+        ? data.criteria
+            .filter(criterion => criterion && typeof criterion.name === 'string' && criterion.name.trim())
+            .map(criterion => ({
+                id: typeof criterion.id === 'string' && criterion.id ? criterion.id : generateId(),
+                name: criterion.name.trim(),
+                weight: typeof criterion.weight === 'number' && criterion.weight >= 0 ? criterion.weight : 1,
+                lowerIsBetter: criterion.lowerIsBetter === true
+            }))
+        : createDefaultComparison().criteria;
+    
+    const shortlist = Array.isArray(data.shortlist)
+        ? data.shortlist.filter(id => findNodeById(context.rootNode, id))
+        : [];
+    
+    const scores = {};
+    shortlist.forEach(id => {
+        const nodeScores = data.scores && data.scores[id];
+        if (!nodeScores) return;
+        scores[id] = {};
+        criteria.forEach(criterion => {
+            const score = nodeScores[criterion.id];
+            if (Number.isInteger(score) && score >= 1 && score <= COMPARISON_SCORE_MAX) {
+                scores[id][criterion.id] = score;
+            }
+        });
+    });
+    
+    const validSort = data.sortBy === 'total' || data.sortBy === 'order' ||
+        criteria.some(criterion => criterion.id === data.sortBy);
+    return { shortlist, criteria, scores, sortBy: validSort ? data.sortBy : 'total' };
+}
+
+/**
+ * Check whether an idea is on the comparison shortlist
+ */
+function isShortlisted(node) {
+    return context.comparison.shortlist.includes(node.id);
+}
+
+/**
+ * Calculate an idea's weighted comparison total as a percentage (0-100)
+ * Scores of "lower is better" criteria are inverted; unscored criteria count as 0
+ */
+function calculateComparisonTotal(nodeId) {
+    const scores = context.comparison.scores[nodeId] || {};
+    let total = 0;
+    let maxTotal = 0;
+    
+    context.comparison.criteria.forEach(criterion => {
+        maxTotal += criterion.weight * COMPARISON_SCORE_MAX;
+        const score = scores[criterion.id];
+        if (score !== undefined) {
+            total += criterion.weight * (criterion.lowerIsBetter ? COMPARISON_SCORE_MAX + 1 - score : score);
+        }
+    });
+    
+    return maxTotal > 0 ? Math.round((total / maxTotal) * 100) : 0;
+}
+
+/**
+ * Get the shortlisted ideas with their scores and totals, in the selected sort order
+ */
+function getComparisonRows() {
+    const comparison = context.comparison;
+    const rows = comparison.shortlist
+        .map(id => findNodeById(context.rootNode, id))
+        .filter(Boolean)
+        .map(node => ({
+            node,
+            scores: comparison.scores[node.id] || {},
+            total: calculateComparisonTotal(node.id)
+        }));
+    
+    if (comparison.sortBy === 'total') {
+        rows.sort((a, b) => b.total - a.total);
+    } else if (comparison.sortBy !== 'order') {
+        // Best first: highest score, or lowest for "lower is better" criteria; unscored ideas last
+        const criterion = comparison.criteria.find(c => c.id === comparison.sortBy);
+        const rank = row => {
+            const score = row.scores[criterion.id];
+            if (score === undefined) return -Infinity;
+            return criterion.lowerIsBetter ? -score : score;
+        };
+        rows.sort((a, b) => rank(b) - rank(a));
+    }
+    return rows;
+}
+
+/**
+ * Add an idea to the comparison shortlist, or remove it
+ */
+function toggleShortlist(node) {
+    const comparison = context.comparison;
+    const shortlisted = isShortlisted(node);
+    recordUndoableAction(shortlisted ? `Remove "${node.choice}" from comparison` : `Shortlist "${node.choice}"`);
+    
+    if (shortlisted) {
+        comparison.shortlist = comparison.shortlist.filter(id => id !== node.id);
+        delete comparison.scores[node.id];
+    } else {
+        comparison.shortlist.push(node.id);
+    }
+    
+    saveStateToLocalStorage();
+    renderTreeView();
+    renderComparison();
+}
+
+/**
+ * Add a criterion from the comparison panel's input
+ */
+function addComparisonCriterion() {
+    const name = comparisonCriterionInput.value.trim();
+    if (!name) {
+        comparisonCriterionInput.focus();
+        return;
+    }
+    
+    recordUndoableAction(`Add criterion "${name}"`);
+    context.comparison.criteria.push({ id: generateId(), name, weight: 1, lowerIsBetter: false });
+    comparisonCriterionInput.value = '';
+    saveStateToLocalStorage();
+    renderComparison();
+}
+
+/**
+ * Handle buttons in the comparison panel (event delegation)
+ */
+function handleComparisonClick(event) {
+    const button = event.target.closest('button[data-action]');
+    if (!button) return;
+    
+    const comparison = context.comparison;
+    switch (button.dataset.action) {
+        case 'add-current':
+            if (context.currentNode && !isShortlisted(context.currentNode)) {
+                toggleShortlist(context.currentNode);
+            }
+            break;
+        case 'remove-idea': {
+            const node = findNodeById(context.rootNode, button.dataset.nodeId);
+            if (node) toggleShortlist(node);
+            break;
+        }
+        case 'remove-criterion': {
+            const criterion = comparison.criteria.find(c => c.id === button.dataset.criterionId);
+            if (!criterion) return;
+            recordUndoableAction(`Remove criterion "${criterion.name}"`);
+            comparison.criteria = comparison.criteria.filter(c => c !== criterion);
+            Object.values(comparison.scores).forEach(scores => delete scores[criterion.id]);
+            if (comparison.sortBy === criterion.id) comparison.sortBy = 'total';
+            saveStateToLocalStorage();
+            renderComparison();
+            break;
+        }
+        case 'add-criterion':
+            addComparisonCriterion();
+            break;
+    }
+}
+
+/**
+ * Handle score, weight, direction and sort changes in the comparison panel
+ */
+function handleComparisonChange(event) {
+    const field = event.target;
+    const comparison = context.comparison;
+    const criterion = comparison.criteria.find(c => c.id === field.dataset.criterionId);
+    
+    if (field.dataset.field === 'sort') {
+        comparison.sortBy = field.value;
+    } else if (field.dataset.field === 'score' && criterion) {
+        recordUndoableAction(`Score ${criterion.name}`);
+        const scores = comparison.scores[field.dataset.nodeId] || (comparison.scores[field.dataset.nodeId] = {});
+        if (field.value) {
+            scores[criterion.id] = Number(field.value);
+        } else {
+            delete scores[criterion.id];
+        }
+    } else if (field.dataset.field === 'weight' && criterion) {
+        const weight = Number(field.value);
+        if (!(weight >= 0)) {
+            field.value = criterion.weight; // Reject negative or non-numeric weights
+            return;
+        }
+        recordUndoableAction(`Change ${criterion.name} weight`);
+        criterion.weight = weight;
+    } else if (field.dataset.field === 'direction' && criterion) {
+        recordUndoableAction(`Change ${criterion.name} direction`);
+        criterion.lowerIsBetter = field.checked;
+    } else {
+        return;
+    }
+    
+    saveStateToLocalStorage();
+    renderComparison();
+}
+
+/**
+ * Render the comparison matrix for the shortlisted ideas
+ */
+function renderComparison() {
+    const comparison = context.comparison;
+    const rows = getComparisonRows();
+    comparisonCount.textContent = rows.length > 0 ? `(${rows.length})` : '';
+    
+    // Nudge towards converging once the branch reaches the last phase
+    const phaseKeys = Object.keys(PHASES);
+    comparisonPanel.classList.toggle('suggested', context.currentPhase === phaseKeys[phaseKeys.length - 1]);
+    
+    addCurrentToComparisonBtn.disabled = !context.currentNode || isShortlisted(context.currentNode);
+    
+    // Sort options follow the criteria
+    comparisonSortSelect.innerHTML = '';
+    [['total', 'Weighted total'], ['order', 'Order added'],
+        ...comparison.criteria.map(criterion => [criterion.id, criterion.name])].forEach(([value, label]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        comparisonSortSelect.appendChild(option);
+    });
+    comparisonSortSelect.value = comparison.sortBy;
+    
+    comparisonTable.innerHTML = '';
+    if (rows.length === 0) {
+        comparisonEmpty.hidden = false;
+        comparisonTable.hidden = true;
+        return;
+    }
+    comparisonEmpty.hidden = true;
+    comparisonTable.hidden = false;
+    
+    // Header: one column per criterion with its weight and direction
+    const headRow = document.createElement('tr');
+    headRow.appendChild(createTextElement('th', null, 'Idea'));
+    comparison.criteria.forEach(criterion => {
+        const th = document.createElement('th');
+        th.appendChild(createTextElement('span', 'criterion-name', criterion.name));
+        
+        const weight = document.createElement('input');
+        weight.type = 'number';
+        weight.min = '0';
+        weight.step = '0.5';
+        weight.value = criterion.weight;
+        weight.className = 'criterion-weight';
+        weight.title = 'Weight';
+        weight.setAttribute('aria-label', `${criterion.name} weight`);
+        weight.dataset.field = 'weight';
+        weight.dataset.criterionId = criterion.id;
+        
+        const directionLabel = createTextElement('label', 'criterion-direction');
+        const direction = document.createElement('input');
+        direction.type = 'checkbox';
+        direction.checked = criterion.lowerIsBetter;
+        direction.dataset.field = 'direction';
+        direction.dataset.criterionId = criterion.id;
+        directionLabel.append(direction, ' lower is better');
+        
+        const remove = createTextElement('button', 'comparison-remove-btn', '×');
+        remove.dataset.action = 'remove-criterion';
+        remove.dataset.criterionId = criterion.id;
+        remove.title = `Remove ${criterion.name}`;
+        
+        th.append(remove, createTextElement('span', 'criterion-weight-label', '×'), weight, directionLabel);
+        headRow.appendChild(th);
+    });
+    headRow.appendChild(createTextElement('th', null, 'Total'));
+    headRow.appendChild(document.createElement('th'));
+    const head = document.createElement('thead');
+    head.appendChild(headRow);
+    comparisonTable.appendChild(head);
+    
+    // One row per shortlisted idea with a score select per criterion
+    const body = document.createElement('tbody');
+    rows.forEach((row, index) => {
+        const tr = document.createElement('tr');
+        if (comparison.sortBy === 'total' && index === 0 && row.total > 0) {
+            tr.className = 'leading';
+        }
+        tr.appendChild(createTextElement('td', 'comparison-idea', row.node.choice));
+        
+        comparison.criteria.forEach(criterion => {
+            const td = document.createElement('td');
+            const select = document.createElement('select');
+            select.dataset.field = 'score';
+            select.dataset.nodeId = row.node.id;
+            select.dataset.criterionId = criterion.id;
+            select.setAttribute('aria-label', `${criterion.name} score for "${row.node.choice}"`);
+            ['', ...Array.from({ length: COMPARISON_SCORE_MAX }, (_, i) => String(i + 1))].forEach(value => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = value || '–';
+                select.appendChild(option);
+            });
+            select.value = row.scores[criterion.id] !== undefined ? String(row.scores[criterion.id]) : '';
+            td.appendChild(select);
+            tr.appendChild(td);
+        });
+        
+        tr.appendChild(createTextElement('td', 'comparison-total', `${row.total}%`));
+        
+        const removeCell = document.createElement('td');
+        const remove = createTextElement('button', 'comparison-remove-btn', '×');
+        remove.dataset.action = 'remove-idea';
+        remove.dataset.nodeId = row.node.id;
+        remove.title = 'Remove from comparison';
+        removeCell.appendChild(remove);
+        tr.appendChild(removeCell);
+        
+        body.appendChild(tr);
+    });
+    comparisonTable.appendChild(body);
+}
+
+/**
+ * Format the comparison matrix as a Markdown table ('' when nothing is shortlisted)
+ */
+function formatComparisonMarkdown() {
+    const rows = getComparisonRows();
+    if (rows.length === 0) return '';
+    
+    const criteria = context.comparison.criteria;
+    const escapeCell = text => String(text).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+    const headers = ['Rank', 'Idea', ...criteria.map(criterion =>
+        `${criterion.name} (×${criterion.weight}${criterion.lowerIsBetter ? ', lower is better' : ''})`), 'Total'];
+    
+    let markdown = `| ${headers.map(escapeCell).join(' | ')} |\n`;
+    markdown += `|${headers.map(() => '---').join('|')}|\n`;
+    rows.forEach((row, index) => {
+        const cells = [index + 1, row.node.choice,
+            ...criteria.map(criterion => row.scores[criterion.id] !== undefined ? row.scores[criterion.id] : '–'),
+            `${row.total}%`];
+        markdown += `| ${cells.map(escapeCell).join(' | ')} |\n`;
+    });
+    return markdown;
+}
+
+/**
+ * Explicitly advance the current branch to the next phase ("I'm done diverging")
+ * Clears the branch's manual override, since the user is moving on deliberately
+ */
+function handleAdvancePhase() {
+    const nextPhaseKey = Object.keys(PHASES)[PHASES[context.currentPhase].order + 1];
+    if (!context.currentNode || !nextPhaseKey) return;
+    
+    recordUndoableAction(`Advance to ${PHASES[nextPhaseKey].name}`);
+    
+    context.currentNode.phaseFloor = nextPhaseKey;
+    context.currentNode.phaseOverride = null;
+    context.manualPhaseOverride = null;
+    
+    updateCurrentPhase();
+    saveStateToLocalStorage();
+    generateNextStep();
+}
+
+/**
+ * Navigate to a specific node in the history tree
+ * @param {boolean} fromKeyboard - Arrow-key browsing: consecutive steps are undone together
+ */
+function navigateToNode(node, fromKeyboard = false) {
+    if (fromKeyboard) {
+        recordUndoableAction('Browse the tree', 'keyboard-navigation');
+    } else {
+        recordUndoableAction(`Go back to "${node.choice}"`);
+    }
+    
+    // Set this node as the current node, picking up its branch's phase override
+    context.currentNode = node;
+    context.manualPhaseOverride = node.phaseOverride;
+    
+    // Save state to localStorage
+    saveStateToLocalStorage();
+    
+    // Regenerate options from this point
+    generateNextStep();
+}
+
+/**
+ * Handle click on history path (event delegation)
+ */
+function handleHistoryClick(event) {
+    const clickedItem = event.target.closest('.history-item.clickable');
+    if (!clickedItem) return;
+    
+    const nodeId = clickedItem.dataset.nodeId;
+    if (!nodeId) return;
+    
+    // Find the node with this ID
+    const node = findNodeById(context.rootNode, nodeId);
+    if (!node) return;
+    
+    if (event.target.closest('.history-annotate-btn')) {
+        openAnnotationEditor(node);
+    } else {
+        navigateToNode(node);
+    }
+}
+
+/**
+ * Activate a focused history item with Enter or Space, like a button
+ */
+function handleHistoryKeydown(event) {
+    if (event.key !== 'Enter' && event.key !== ' ') return;
+    
+    // The annotate button handles its own keys
+    if (!event.target.classList.contains('history-item')) return;
+    
+    event.preventDefault();
+    handleHistoryClick(event);
+}
+
+/**
+ * Handle the generation screen shortcuts: 1-6 pick an option, R shuffles
+ * the options, and the arrow keys walk the tree (up to the parent, down to
+ * the newest child, left/right to the previous/next sibling)
+ */
+function handleNavigationShortcut(event) {
+    if (!generationScreen.classList.contains('active')) return;
+    if (event.ctrlKey || event.metaKey || event.altKey) return;
+    
+    // Don't change the session behind an open annotation editor
+    if (annotationTarget) return;
+    
+    // Leave keys to text fields and form controls
+    const tagName = event.target.tagName;
+    if (tagName === 'INPUT' || tagName === 'TEXTAREA' || tagName === 'SELECT') return;
+    
+    if (/^[1-9]$/.test(event.key)) {
+        const option = optionsContainer.querySelectorAll('.option-btn')[Number(event.key) - 1];
+        if (option) {
+            event.preventDefault();
+            option.click();
+        }
+        return;
+    }
+    
+    if (event.key.toLowerCase() === 'r') {
+        event.preventDefault();
+        shuffleOptions();
+        return;
+    }
+    
+    const target = getArrowKeyTarget(event.key);
+    if (target) {
+        event.preventDefault();
+        navigateToNode(target, true);
+    }
+}
+
+/**
+ * Find the node an arrow key moves to from the current node (null if none)
+ */
+function getArrowKeyTarget(key) {
+    const node = context.currentNode;
+    if (!node) return null;
+    
+    const siblings = node.parent ? node.parent.children : [];
+    const siblingIndex = siblings.indexOf(node);
+    switch (key) {
+        case 'ArrowUp':
+            return node.parent;
+        case 'ArrowDown':
+            return node.children[node.children.length - 1] || null;
+        case 'ArrowLeft':
+            return siblings[siblingIndex - 1] || null;
+        case 'ArrowRight':
+            return siblings[siblingIndex + 1] || null;
+        default:
+            return null;
+    }
+}
+
+/**
+ * Find a node by ID in the tree
+ */
+function findNodeById(startNode, targetId) {
+    if (!startNode) return null;
+    
+    // Check if this is the target node
+    if (startNode.id === targetId) {
+        return startNode;
+    }
+    
+    // Search in children
+    for (const child of startNode.children) {
+        const found = findNodeById(child, targetId);
+        if (found) return found;
+    }
+    
+    return null;
+}
+
+/**
+ * Create an SVG element with the given attributes
+ */
+function createSvgElement(tagName, attributes = {}) {
+    const element = document.createElementNS(SVG_NS, tagName);
+    for (const [name, value] of Object.entries(attributes)) {
+        element.setAttribute(name, value);
+    }
+    return element;
+}
+
+/**
+ * Truncate text to a maximum length, adding an ellipsis
+ */
+function truncateText(text, maxLength) {
+    return text.length > maxLength ? `${text.substring(0, maxLength - 1)}…` : text;
+}
+
+/**
+ * Lay out the whole tree top-down: leaves are spaced evenly and
+ * every parent is centred above its first and last child
+ * Returns an array of { node, depth, x, y } in depth-first order
+ */
+function layoutTree(root) {
+    const positions = [];
+    let nextLeafX = 0;
+    
+    function place(node, depth) {
+        const position = { node: node, depth: depth, x: 0, y: depth * TREE_LEVEL_HEIGHT };
+        positions.push(position);
+        
+        if (node.children.length === 0) {
+            position.x = nextLeafX;
+            nextLeafX += TREE_SIBLING_SPACING;
+        } else {
+            const childPositions = node.children.map(child => place(child, depth + 1));
+            position.x = (childPositions[0].x + childPositions[childPositions.length - 1].x) / 2;
+        }
+        
+        return position;
+    }
+    
+    place(root, 0);
+    return positions;
+}
+
+/**
+ * Render the full exploration tree (every branch) into the tree view SVG
+ */
+function renderTreeView() {
+    if (!treePanel.open) {
+        return; // Nothing to measure or show while collapsed
+    }
+    
+    treeSvg.innerHTML = '';
+    treeView.bounds = null;
+    
+    if (!context.rootNode) {
+        const emptyText = createSvgElement('text', { x: 20, y: 30, class: 'tree-empty' });
+        emptyText.textContent = 'Your exploration tree will appear here...';
+        treeSvg.appendChild(emptyText);
+        return;
+    }
+    
+    const positions = layoutTree(context.rootNode);
+    const positionsById = new Map(positions.map(position => [position.node.id, position]));
+    const pathIds = new Set(getCurrentPathNodes().map(node => node.id));
+    
+    const viewport = createSvgElement('g', { class: 'tree-viewport' });
+    const edgesLayer = createSvgElement('g');
+    const nodesLayer = createSvgElement('g');
+    
+    positions.forEach(({ node, depth, x, y }) => {
+        const isOnPath = pathIds.has(node.id);
+        const isCurrent = node === context.currentNode;
+        
+        // Curved edge from the parent
+        if (node.parent) {
+            const parentPosition = positionsById.get(node.parent.id);
+            const midY = (parentPosition.y + y) / 2;
+            edgesLayer.appendChild(createSvgElement('path', {
+                d: `M ${parentPosition.x} ${parentPosition.y} C ${parentPosition.x} ${midY}, ${x} ${midY}, ${x} ${y}`,
+                class: isOnPath ? 'tree-edge on-path' : 'tree-edge'
+            }));
+        }
+        
+        // Node colour reflects the phase the choice was made in
+        const stepCount = depth + 1;
+        const phaseData = PHASES[getNodePhase(node)];
+        
+        let nodeClass = 'tree-node';
+        if (isOnPath) nodeClass += ' on-path';
+        if (isCurrent) nodeClass += ' current';
+        if (isShortlisted(node)) nodeClass += ' shortlisted';
+        
+        const group = createSvgElement('g', {
+            class: nodeClass,
+            transform: `translate(${x}, ${y})`,
+            'data-node-id': node.id
+        });
+        
+        const title = createSvgElement('title');
+        title.textContent = [
+            `${stepCount}. ${node.choice} (${phaseData.name})`,
+            describeProvenance(node.provenance, node.createdAt),
+            describeAnnotations(node)
+        ].filter(Boolean).join('\n');
+        group.appendChild(title);
+        
+        group.appendChild(createSvgElement('circle', {
+            r: isCurrent ? TREE_NODE_RADIUS * 1.5 : TREE_NODE_RADIUS,
+            fill: phaseData.color
+        }));
+        if (isShortlisted(node)) {
+            group.appendChild(createSvgElement('circle', {
+                r: (isCurrent ? TREE_NODE_RADIUS * 1.5 : TREE_NODE_RADIUS) + 5,
+                class: 'shortlist-ring'
+            }));
+        }
+        
+        const label = createSvgElement('text', {
+            y: TREE_NODE_RADIUS + 16,
+            'text-anchor': 'middle'
+        });
+        label.textContent = (node.favourite ? '★ ' : '') + truncateText(node.choice, TREE_LABEL_MAX_LENGTH);
+        group.appendChild(label);
+        
+        nodesLayer.appendChild(group);
+    });
+    
+    viewport.appendChild(edgesLayer);
+    viewport.appendChild(nodesLayer);
+    treeSvg.appendChild(viewport);
+    
+    const xs = positions.map(position => position.x);
+    const ys = positions.map(position => position.y);
+    treeView.bounds = {
+        minX: Math.min(...xs),
+        maxX: Math.max(...xs),
+        minY: Math.min(...ys),
+        maxY: Math.max(...ys)
+    };
+    
+    if (treeView.needsFit) {
+        fitTreeToView();
+    } else {
+        keepTreeNodeInView(positionsById.get(context.currentNode ? context.currentNode.id : context.rootNode.id));
+        applyTreeTransform();
+    }
+}
+
+/**
+ * Get the visible size of the tree view (with a fallback before layout)
+ */
+function getTreeViewportSize() {
+    return {
+        width: treeSvg.clientWidth || 600,
+        height: treeSvg.clientHeight || 320
+    };
+}
+
+/**
+ * Apply the current pan/zoom state to the rendered tree
+ */
+function applyTreeTransform() {
+    const viewport = treeSvg.querySelector('.tree-viewport');
+    if (viewport) {
+        viewport.setAttribute('transform',
+            `translate(${treeView.translateX}, ${treeView.translateY}) scale(${treeView.scale})`);
+    }
+}
+
+/**
+ * Scale and centre the view so the whole tree is visible
+ */
+function fitTreeToView() {
+    treeView.needsFit = false;
+    if (!treeView.bounds) return;
+    
+    const { width, height } = getTreeViewportSize();
+    const { minX, maxX, minY, maxY } = treeView.bounds;
+    const padding = TREE_SIBLING_SPACING / 2;
+    
+    const contentWidth = maxX - minX + padding * 2;
+    const contentHeight = maxY - minY + padding * 2;
+    const scale = Math.min(width / contentWidth, height / contentHeight, 1);
+    
+    treeView.scale = Math.max(TREE_MIN_SCALE, scale);
+    treeView.translateX = width / 2 - ((minX + maxX) / 2) * treeView.scale;
+    treeView.translateY = height / 2 - ((minY + maxY) / 2) * treeView.scale;
+    applyTreeTransform();
+}
+
+/**
+ * Pan the view to centre a node if it has drifted out of sight
+ */
+function keepTreeNodeInView(position) {
+    if (!position) return;
+    
+    const { width, height } = getTreeViewportSize();
+    const margin = TREE_NODE_RADIUS * 3;
+    const screenX = position.x * treeView.scale + treeView.translateX;
+    const screenY = position.y * treeView.scale + treeView.translateY;
+    
+    if (screenX < margin || screenX > width - margin || screenY < margin || screenY > height - margin) {
+        treeView.translateX = width / 2 - position.x * treeView.scale;
+        treeView.translateY = height / 2 - position.y * treeView.scale;
+    }
+}
+
+/**
+ * Zoom the tree view by a factor around a point (defaults to the view centre)
+ */
+function zoomTree(factor, centerX, centerY) {
+    const { width, height } = getTreeViewportSize();
+    const originX = centerX !== undefined ? centerX : width / 2;
+    const originY = centerY !== undefined ? centerY : height / 2;
+    
+    const newScale = Math.min(TREE_MAX_SCALE, Math.max(TREE_MIN_SCALE, treeView.scale * factor));
+    const appliedFactor = newScale / treeView.scale;
+    
+    // Keep the point under the cursor fixed while scaling
+    treeView.translateX = originX - (originX - treeView.translateX) * appliedFactor;
+    treeView.translateY = originY - (originY - treeView.translateY) * appliedFactor;
+    treeView.scale = newScale;
+    applyTreeTransform();
+}
+
+/**
+ * Handle mouse wheel zooming on the tree view
+ */
+function handleTreeWheel(event) {
+    event.preventDefault();
+    const rect = treeSvg.getBoundingClientRect();
+    const factor = event.deltaY < 0 ? TREE_ZOOM_STEP : 1 / TREE_ZOOM_STEP;
+    zoomTree(factor, event.clientX - rect.left, event.clientY - rect.top);
+}
+
+/**
+ * Start a potential pan of the tree view
+ */
+function handleTreePointerDown(event) {
+    if (event.button !== 0) return;
+    
+    treeView.pointerStart = {
+        x: event.clientX,
+        y: event.clientY,
+        translateX: treeView.translateX,
+        translateY: treeView.translateY
+    };
+    treeView.isPanning = false;
+    treeView.suppressClick = false;
+}
+
+/**
+ * Pan the tree view once the pointer has moved past the drag threshold
+ */
+function handleTreePointerMove(event) {
+    const start = treeView.pointerStart;
+    if (!start) return;
+    
+    const dx = event.clientX - start.x;
+    const dy = event.clientY - start.y;
+    
+    if (!treeView.isPanning) {
+        if (Math.hypot(dx, dy) < TREE_DRAG_THRESHOLD) return;
+        treeView.isPanning = true;
+        treeSvg.classList.add('panning');
+        // Capture only once panning, so plain clicks still reach the node under the pointer
+        if (treeSvg.setPointerCapture) {
+            treeSvg.setPointerCapture(event.pointerId);
+        }
+    }
+    
+    treeView.translateX = start.translateX + dx;
+    treeView.translateY = start.translateY + dy;
+    applyTreeTransform();
+}
+
+/**
+ * Finish panning the tree view
+ */
+function handleTreePointerUp() {
+    // A release that ends a pan must not be treated as a node click
+    treeView.suppressClick = treeView.isPanning;
+    treeView.pointerStart = null;
+    treeView.isPanning = false;
+    treeSvg.classList.remove('panning');
+}
+
+/**
+ * Handle click on a tree node (event delegation)
+ */
+function handleTreeClick(event) {
+    if (treeView.suppressClick) {
+        treeView.suppressClick = false;
+        return;
+    }
+    
+    const clickedNode = event.target.closest('.tree-node');
+    if (!clickedNode) return;
+    
+    const node = findNodeById(context.rootNode, clickedNode.getAttribute('data-node-id'));
+    if (!node) return;
+    
+    // Shift+click shortlists the idea for comparison instead of jumping to it
+    if (event.shiftKey) {
+        toggleShortlist(node);
+    } else {
+        navigateToNode(node);
+    }
+}
+
+/**
+ * Open the annotation editor for a tree node (right-click)
+ */
+function handleTreeContextMenu(event) {
+    const clickedNode = event.target.closest('.tree-node');
+    if (!clickedNode) return;
+    
+    const node = findNodeById(context.rootNode, clickedNode.getAttribute('data-node-id'));
+    if (node) {
+        event.preventDefault();
+        openAnnotationEditor(node);
+    }
+}
+
+/**
+ * Compute statistics about how the session unfolded (plain data, safe to export)
+ */
+function computeSessionAnalytics() {
+    const entries = [];
+    const visit = (node, depth) => {
+        entries.push({ node, depth });
+        node.children.forEach(child => visit(child, depth + 1));
+    };
+    if (context.rootNode) {
+        visit(context.rootNode, 0);
+    }
+    const nodes = entries.map(entry => entry.node);
+    
+    // Depth, breadth and branching factor per level
+    const levels = [];
+    entries.forEach(({ node, depth }) => {
+        if (!levels[depth]) {
+            levels[depth] = { step: depth + 1, nodes: 0, children: 0 };
+        }
+        levels[depth].nodes++;
+        levels[depth].children += node.children.length;
+    });
+    const branching = levels.map(level => ({
+        step: level.step,
+        nodes: level.nodes,
+        branchingFactor: level.children / level.nodes
+    }));
+    
+    // Time between consecutive ideas, in the order they were added
+    const timedNodes = nodes
+        .filter(node => node.createdAt)
+        .sort((a, b) => Date.parse(a.createdAt) - Date.parse(b.createdAt));
+    const timePerStep = timedNodes.slice(1).map((node, index) => ({
+        choice: node.choice,
+        seconds: Math.max(0, (Date.parse(node.createdAt) - Date.parse(timedNodes[index].createdAt)) / 1000)
+    }));
+    const totalSeconds = timePerStep.reduce((sum, step) => sum + step.seconds, 0);
+    
+    // Operator usage, including available operators that were never used
+    const usage = { ...operatorUsageCount };
+    const categoryNames = operatorMappings ? getCategoryBlend().map(category => category.name) : [];
+    
+    // Category coverage: distinct operators chosen out of those available
+    const categories = {};
+    categoryNames.forEach(categoryName => {
+        if (!operatorMappings || !operatorMappings.categories[categoryName]) return;
+        const operators = getCategoryOperators(categoryName);
+        operators.forEach(operator => {
+            usage[operator.text] = usage[operator.text] || 0;
+        });
+        categories[categoryName] = { available: operators.length, usedOperators: new Set(), ideas: 0 };
+    });
+    
+    const sources = { generated: 0, custom: 0, unknown: 0 };
+    nodes.forEach(node => {
+        const provenance = node.provenance;
+        if (!provenance) {
+            sources.unknown++;
+            return;
+        }
+        sources[provenance.source]++;
+        if (provenance.source === 'generated' && provenance.category) {
+            if (!categories[provenance.category]) {
+                categories[provenance.category] = { available: 0, usedOperators: new Set(), ideas: 0 };
+            }
+            categories[provenance.category].ideas++;
+            categories[provenance.category].usedOperators.add(provenance.operator);
+        }
+    });
+    
+    const operatorsByUse = Object.entries(usage)
+        .map(([operator, count]) => ({ operator, count }))
+        .sort((a, b) => b.count - a.count || a.operator.localeCompare(b.operator));
+    
+    // Abandoned branches: dead ends that are neither on the current path nor
+    // below the current idea (those are still being explored from here)
+    const isBelowCurrentNode = node => {
+        for (let ancestor = node; ancestor; ancestor = ancestor.parent) {
+            if (ancestor === context.currentNode) {
+                return true;
+            }
+        }
+        return false;
+    };
+    const currentPathNodes = getCurrentPathNodes();
+    const abandonedBranches = nodes
+        .filter(node => node.children.length === 0 && !currentPathNodes.includes(node) && !isBelowCurrentNode(node))
+        .map(node => getNodePath(node));
+    
+    return {
+        totalNodes: nodes.length,
+        depth: levels.length,
+        breadth: Math.max(0, ...levels.map(level => level.nodes)),
+        branching,
+        timePerStep,
+        totalSeconds,
+        averageSecondsPerStep: timePerStep.length > 0 ? totalSeconds / timePerStep.length : 0,
+        mostUsedOperators: operatorsByUse.filter(entry => entry.count > 0).slice(0, ANALYTICS_LIST_LIMIT),
+        leastUsedOperators: operatorsByUse.slice(-ANALYTICS_LIST_LIMIT).reverse(),
+        categoryCoverage: Object.entries(categories).map(([category, data]) => ({
+            category,
+            ideas: data.ideas,
+            operatorsUsed: data.usedOperators.size,
+            operatorsAvailable: data.available
+        })),
+        sources,
+        abandonedBranches
+    };
+}
+
+/**
+ * Format a duration in seconds, e.g. "45s", "3m 05s", "1h 02m"
+ */
+function formatDuration(seconds) {
+    const rounded = Math.round(seconds);
+    if (rounded < 60) {
+        return `${rounded}s`;
+    }
+    const minutes = Math.floor(rounded / 60);
+    if (minutes < 60) {
+        return `${minutes}m ${String(rounded % 60).padStart(2, '0')}s`;
+    }
+    return `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, '0')}m`;
+}
+
+/**
+ * Create a horizontal bar chart (plain HTML/CSS, no chart library)
+ * @param {Array} rows - [{ label, value, text }]; bars are scaled to the largest value
+ */
+function createBarChart(rows) {
+    const chart = document.createElement('div');
+    chart.className = 'bar-chart';
+    const max = Math.max(0, ...rows.map(row => row.value));
+    
+    rows.forEach(row => {
+        const label = document.createElement('span');
+        label.className = 'bar-label';
+        label.textContent = row.label;
+        label.title = row.label;
+        
+        const track = document.createElement('span');
+        track.className = 'bar-track';
+        const bar = document.createElement('span');
+        bar.className = 'bar';
+        bar.style.width = `${max > 0 ? (row.value / max) * 100 : 0}%`;
+        track.appendChild(bar);
+        
+        const value = document.createElement('span');
+        value.className = 'bar-value';
+        value.textContent = row.text;
+        
+        chart.append(label, track, value);
+    });
+    
+    return chart;
+}
+
+/**
+ * Create a titled analytics section
+ */
+function createAnalyticsSection(title, content) {
+    const section = document.createElement('section');
+    section.className = 'analytics-section';
+    const heading = document.createElement('h4');
+    heading.textContent = title;
+    section.append(heading, content);
+    return section;
+}
+
+/**
+ * Create a short note for an analytics section without data
+ */
+function createAnalyticsNote(text) {
+    const note = document.createElement('p');
+    note.className = 'analytics-note';
+    note.textContent = text;
+    return note;
+}
+
+/**
+ * Create a bulleted list for the analytics panel
+ */
+function createAnalyticsList(items) {
+    const list = document.createElement('ul');
+    list.className = 'analytics-list';
+    items.forEach(text => {
+        const item = document.createElement('li');
+        item.textContent = text;
+        list.appendChild(item);
+    });
+    return list;
+}
+
+/**
+ * Render the analytics dashboard (only while its panel is open)
+ */
+function renderAnalytics() {
+    if (!analyticsPanel.open) {
+        return;
+    }
+    
+    analyticsContent.innerHTML = '';
+    if (!context.rootNode) {
+        analyticsContent.appendChild(createAnalyticsNote('Analytics will appear once you have chosen some ideas.'));
+        return;
+    }
+    
+    const analytics = computeSessionAnalytics();
+    
+    // Headline numbers
+    const summary = document.createElement('div');
+    summary.className = 'analytics-summary';
+    const knownSources = analytics.sources.generated + analytics.sources.custom;
+    [
+        ['Ideas', analytics.totalNodes],
+        ['Depth', analytics.depth],
+        ['Widest level', analytics.breadth],
+        ['Abandoned branches', analytics.abandonedBranches.length],
+        ['Custom ideas', knownSources > 0 ? `${Math.round((analytics.sources.custom / knownSources) * 100)}%` : '–'],
+        ['Avg. time per step', analytics.timePerStep.length > 0 ? formatDuration(analytics.averageSecondsPerStep) : '–']
+    ].forEach(([label, value]) => {
+        const stat = document.createElement('div');
+        stat.className = 'analytics-stat';
+        const valueElement = document.createElement('strong');
+        valueElement.textContent = value;
+        const labelElement = document.createElement('span');
+        labelElement.textContent = label;
+        stat.append(valueElement, labelElement);
+        summary.appendChild(stat);
+    });
+    analyticsContent.appendChild(summary);
+    
+    analyticsContent.appendChild(createAnalyticsSection('Ideas and branching factor per step', createBarChart(
+        analytics.branching.map(level => ({
+            label: `Step ${level.step}`,
+            value: level.nodes,
+            text: `${level.nodes} · ×${level.branchingFactor.toFixed(1)}`
+        }))
+    )));
+    
+    const recentSteps = analytics.timePerStep.slice(-ANALYTICS_TIMELINE_LIMIT);
+    analyticsContent.appendChild(createAnalyticsSection('Time per step', recentSteps.length > 0
+        ? createBarChart(recentSteps.map(step => ({
+            label: step.choice,
+            value: step.seconds,
+            text: formatDuration(step.seconds)
+        })))
+        : createAnalyticsNote('Timing starts with the second idea (ideas from older sessions have no timestamps).')
+    ));
+    
+    analyticsContent.appendChild(createAnalyticsSection('Most used operators', analytics.mostUsedOperators.length > 0
+        ? createBarChart(analytics.mostUsedOperators.map(entry => ({
+            label: entry.operator,
+            value: entry.count,
+            text: `${entry.count}×`
+        })))
+        : createAnalyticsNote('No generated ideas chosen yet.')
+    ));
+    
+    analyticsContent.appendChild(createAnalyticsSection('Least used operators', createAnalyticsList(
+        analytics.leastUsedOperators.map(entry => `${entry.operator} (${entry.count}×)`)
+    )));
+    
+    analyticsContent.appendChild(createAnalyticsSection('Category coverage', createBarChart(
+        analytics.categoryCoverage.map(entry => ({
+            label: entry.category,
+            value: entry.operatorsAvailable > 0 ? entry.operatorsUsed / entry.operatorsAvailable : 0,
+            text: `${entry.operatorsUsed}/${entry.operatorsAvailable} operators · ${entry.ideas} ideas`
+        }))
+    )));
+    
+    const sourceRows = [
+        { label: 'Generated', value: analytics.sources.generated, text: String(analytics.sources.generated) },
+        { label: 'Custom', value: analytics.sources.custom, text: String(analytics.sources.custom) }
+    ];
+    if (analytics.sources.unknown > 0) {
+        sourceRows.push({ label: 'Unknown (older)', value: analytics.sources.unknown, text: String(analytics.sources.unknown) });
+    }
+    analyticsContent.appendChild(createAnalyticsSection('Custom vs generated', createBarChart(sourceRows)));
+    
+    const abandoned = analytics.abandonedBranches;
+    const abandonedItems = abandoned.slice(0, ANALYTICS_ABANDONED_LIMIT).map(path => path.join(' → '));
+    if (abandoned.length > ANALYTICS_ABANDONED_LIMIT) {
+        abandonedItems.push(`…and ${abandoned.length - ANALYTICS_ABANDONED_LIMIT} more`);
+    }
+    analyticsContent.appendChild(createAnalyticsSection('Abandoned branches', abandoned.length > 0
+        ? createAnalyticsList(abandonedItems)
+        : createAnalyticsNote('No abandoned branches: every idea leads to your current path.')
+    ));
+}
+
+/**
+ * Handle option selection
+ * @param {Object} optionData - Generated option (see generateOptions())
+ * @param {Object[]} offeredOptions - Option set it was chosen from (the options on screen by default)
+ */
+function selectOption(optionData, offeredOptions = currentOptions) {
+    recordUndoableAction(`Choose "${optionData.text}"`);
+    
+    // Track operator usage for frequency-based biasing using template key
+    if (optionData.templateKey) {
+        operatorUsageCount[optionData.templateKey] = (operatorUsageCount[optionData.templateKey] || 0) + 1;
+    }
+    
+    addChoiceNode(optionData.text, optionData.provenance, offeredOptions);
+    
+    // Save state to localStorage
+    saveStateToLocalStorage();
+    
+    // Generate next set of options (infinite loop)
+    generateNextStep();
+}
+
+/**
+ * Add a choice below the current node and move to it
+ * The node records the phase it was chosen in, when and how it was created,
+ * the options it was chosen from, and inherits the branch's override
+ * @param {string} choice - Text of the idea
+ * @param {Object} provenance - { source: 'generated' | 'custom', operator, category, difficulty, operatorPhase, slots }
+ * @param {Object[]} offeredOptions - Options on screen when it was chosen
+ */
+function addChoiceNode(choice, provenance, offeredOptions = []) {
+    const newNode = new HistoryNode(choice, context.currentNode);
+    newNode.phase = context.currentPhase;
+    newNode.phaseOverride = context.manualPhaseOverride;
+    newNode.provenance = provenance;
+    newNode.createdAt = new Date().toISOString();
+    newNode.offeredOptions = offeredOptions.map(option => ({
+        text: option.text,
+        templateKey: option.templateKey,
+        provenance: option.provenance,
+        chosen: option.text === choice
+    }));
+    
+    if (context.currentNode === null) {
+        // First choice - this becomes the root
+        context.rootNode = newNode;
+    } else {
+        // Add as child to current node
+        context.currentNode.children.push(newNode);
+    }
+    
+    // Move to the new node
+    context.currentNode = newNode;
+    return newNode;
+}
+
+/**
+ * Handle custom input submission
+ */
+function handleCustomInput() {
+    const customValue = customInput.value.trim();
+    
+    if (!customValue) {
+        showError(customError, 'Please enter your custom idea!');
+        customInput.focus();
         return;
     }
     
     clearError(customError);
     
-    // Create new node and add to tree
-    const newNode = new HistoryNode(customValue, context.currentNode);
+    recordUndoableAction(`Add custom idea "${customValue}"`);
+    
+    addChoiceNode(customValue, { source: 'custom' }, currentOptions);
+    
+    // Save state to localStorage
+    saveStateToLocalStorage();
+    
+    // Generate next set of options (infinite loop)
+    generateNextStep();
+}
+
+/**
+ * Reset the app to initial state
+ */
+function resetApp() {
+    // Confirm before resetting to prevent accidental data loss
+    const hasData = context.domain || context.rootNode;
+    if (hasData) {
+        const confirmed = confirm('Start over with a new domain? This session stays in your session list (and you can undo the reset).');
+        if (!confirmed) {
+            return;
+        }
+    }
+    
+    // Close the session without touching its saved state: it stays in the
+    // library, and undo on the start screen reopens it
+    const sessionId = sessionLibrary.activeSessionId;
+    leaveSession();
+    resetSessionId = sessionId;
+    updateUndoButtons();
+}
+
+/**
+ * Validate that a session exists for export
+ */
+function validateSessionForExport() {
+    if (!context.domain) {
+        alert('No session to export. Please start generating ideas first.');
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Format one idea as a Markdown line: phase label, choice and annotation summary
+ */
+function formatMarkdownIdea(node) {
+    // Label each idea with the phase the choice was actually made in
+    const phaseName = PHASES[getNodePhase(node)].name;
+    const summary = summarizeAnnotations(node);
+    return `[${phaseName}] ${node.choice}${summary ? ` — ${summary}` : ''}`;
+}
+
+/**
+ * Render a subtree as a nested Markdown outline
+ * Ideas on the current path are bold and the current idea is marked
+ * @param {HistoryNode} node - Root of the subtree
+ * @param {Set} pathNodes - Nodes on the current path
+ * @param {number} level - Nesting level (internal)
+ */
+function formatMarkdownOutline(node, pathNodes, level = 0) {
+    const indent = '  '.repeat(level);
+    const phaseName = PHASES[getNodePhase(node)].name;
+    const summary = summarizeAnnotations(node);
+    const choice = pathNodes.has(node) ? `**${node.choice}**` : node.choice;
+    const currentMarker = node === context.currentNode ? ' ← _current_' : '';
+    
+    let markdown = `${indent}- [${phaseName}] ${choice}${summary ? ` — ${summary}` : ''}${currentMarker}\n`;
+    if (node.notes) {
+        markdown += formatMarkdownNotes(node.notes, `${indent}  `);
+    }
+    node.children.forEach(child => {
+        markdown += formatMarkdownOutline(child, pathNodes, level + 1);
+    });
+    return markdown;
+}
+
+// Export formats, listed in the export format select in this order
+// Each builder returns the file content; scoped formats get 'path', 'tree' or 'subtree'
+// To add a format, add an entry here with a builder function
+const EXPORTERS = {
+    markdown: { label: 'Markdown', extension: 'md', mimeType: 'text/markdown', scoped: true, build: buildMarkdownExport },
+    json: { label: 'JSON (re-importable session)', extension: 'json', mimeType: 'application/json', scoped: false, build: buildJsonExport },
+    opml: { label: 'OPML (outliners)', extension: 'opml', mimeType: 'text/x-opml', scoped: true, build: buildOpmlExport },
+    mermaidMindmap: { label: 'Mermaid mindmap', extension: 'mmd', mimeType: 'text/plain', scoped: true, build: buildMermaidMindmapExport },
+    mermaidGraph: { label: 'Mermaid graph', extension: 'mmd', mimeType: 'text/plain', scoped: true, build: buildMermaidGraphExport },
+    dot: { label: 'Graphviz DOT', extension: 'dot', mimeType: 'text/vnd.graphviz', scoped: true, build: buildDotExport },
+    csv: { label: 'CSV (spreadsheets)', extension: 'csv', mimeType: 'text/csv', scoped: true, build: buildCsvExport }
+};
+
+/**
+ * Fill the export format select from EXPORTERS
+ */
+function renderExportFormatOptions() {
+    exportFormatSelect.innerHTML = '';
+    for (const [formatKey, exporter] of Object.entries(EXPORTERS)) {
+        const option = document.createElement('option');
+        option.value = formatKey;
+        option.textContent = exporter.label;
+        exportFormatSelect.appendChild(option);
+    }
+    updateExportScopeState();
+}
+
+/**
+ * Disable the scope select for formats that always export the whole session
+ */
+function updateExportScopeState() {
+    exportScopeSelect.disabled = !EXPORTERS[exportFormatSelect.value].scoped;
+}
+
+/**
+ * Export the session in the selected format and scope
+ */
+function exportSession() {
+    if (!validateSessionForExport()) return;
+    
+    const exporter = EXPORTERS[exportFormatSelect.value];
+    const scope = exporter.scoped ? exportScopeSelect.value : 'session';
+    if (scope === 'subtree' && !context.currentNode) {
+        alert('Choose an idea first: the subtree export starts at the current idea.');
+        return;
+    }
+    
+    const timestamp = new Date().toISOString().split('T')[0];
+    downloadFile(`idea-${scope}-${timestamp}.${exporter.extension}`, exporter.build(scope), exporter.mimeType);
+}
+
+/**
+ * Build the tree of ideas covered by an export scope
+ * Returns { node, depth, children } entries (null if there are no ideas yet);
+ * the 'path' scope keeps only the ideas on the current path
+ */
+function getExportTree(scope) {
+    const pathNodes = new Set(getCurrentPathNodes());
+    const root = scope === 'subtree' ? context.currentNode : context.rootNode;
+    
+    const build = (node, depth) => ({
+        node,
+        depth,
+        children: node.children
+            .filter(child => scope !== 'path' || pathNodes.has(child))
+            .map(child => build(child, depth + 1))
+    });
+    return root ? build(root, getNodeDepth(root)) : null;
+}
+
+/**
+ * Visit every entry of an export tree, parents before children
+ */
+function forEachExportEntry(entry, callback, parent = null) {
+    if (!entry) return;
+    callback(entry, parent);
+    entry.children.forEach(child => forEachExportEntry(child, callback, entry));
+}
+
+/**
+ * Describe the session's category mix for exports, e.g. "food 40%, business 40%, default 20%"
+ */
+function describeCategoryBlend() {
+    return getCategoryBlend()
+        .map(category => `${category.name} ${Math.round(category.share * 100)}%`)
+        .join(', ');
+}
+
+/**
+ * Build a Markdown export
+ * The current path is written as a numbered list; the full tree or the
+ * subtree below the current idea as a nested outline
+ */
+function buildMarkdownExport(scope) {
+    const currentPathNodes = getCurrentPathNodes();
+    const timestamp = new Date().toISOString().split('T')[0];
+    const outlineRoot = scope === 'subtree' ? context.currentNode : context.rootNode;
+    
+    const titles = { path: 'Idea Path', tree: 'Idea Tree', subtree: 'Idea Subtree' };
+    let markdown = `# Infinity Idea Generator - ${titles[scope]}\n\n`;
+    markdown += `**Domain:** ${context.domain}\n`;
+    markdown += `**Date:** ${timestamp}\n`;
+    if (context.seed) {
+        markdown += `**Seed:** ${context.seed}\n`;
+    }
+    if (operatorMappings) {
+        markdown += `**Categories:** ${describeCategoryBlend()}\n`;
+    }
+    markdown += `**Steps:** ${currentPathNodes.length}\n`;
+    if (scope !== 'path') {
+        markdown += `**Ideas:** ${countNodes(outlineRoot)}\n`;
+    }
+    markdown += `**Current Phase:** ${PHASES[context.currentPhase].name}\n\n`;
+    
+    if (scope === 'path') {
+        markdown += `## Idea Evolution Path\n\n`;
+        if (currentPathNodes.length === 0) {
+            markdown += `_No choices made yet_\n`;
+        } else {
+            currentPathNodes.forEach((node, index) => {
+                markdown += `${index + 1}. ${formatMarkdownIdea(node)}\n`;
+                if (node.notes) {
+                    markdown += formatMarkdownNotes(node.notes, '   ');
+                }
+            });
+        }
+    } else {
+        markdown += scope === 'tree' ? `## All Branches\n\n` : `## Branches from "${outlineRoot.choice}"\n\n`;
+        if (!outlineRoot) {
+            markdown += `_No choices made yet_\n`;
+        } else {
+            markdown += `_Ideas on the current path are in bold; ← marks the current idea._\n\n`;
+            markdown += formatMarkdownOutline(outlineRoot, new Set(currentPathNodes));
+        }
+    }
+    
+    // Favourite and rated ideas from every branch (of the subtree), not just the current path
+    const highlights = collectHighlights(outlineRoot);
+    if (highlights.length > 0) {
+        markdown += `\n## Highlights\n\n`;
+        highlights.forEach(node => {
+            markdown += `- **${node.choice}** — ${summarizeAnnotations(node)} _(step ${getNodeDepth(node) + 1})_\n`;
+            if (node.notes) {
+                markdown += formatMarkdownNotes(node.notes, '  ');
+            }
+        });
+    }
+    
+    const comparisonMarkdown = formatComparisonMarkdown();
+    if (comparisonMarkdown) {
+        markdown += `\n## Comparison\n\n${comparisonMarkdown}`;
+    }
+    
+    markdown += `\n---\n_Generated by Infinity Idea Generator_\n`;
+    return markdown;
+}
+
+/**
+ * Build a JSON export of the whole session (can be imported again, see importSessionFromFile())
+ */
+function buildJsonExport() {
+    const currentPath = getCurrentPath();
+    
+    const exportData = {
+        formatVersion: EXPORT_FORMAT_VERSION,
+        domain: context.domain,
+        exportDate: new Date().toISOString(),
+        currentPhase: context.currentPhase,
+        manualPhaseOverride: context.manualPhaseOverride,
+        seed: context.seed,
+        selectedCategories: context.selectedCategories,
+        genericRatio: context.genericRatio,
+        currentPath: currentPath,
+        fullTree: serializeNode(context.rootNode),
+        highlights: collectHighlights().map(node => ({
+            id: node.id,
+            path: getNodePath(node),
+            favourite: node.favourite,
+            rating: node.rating,
+            tags: node.tags,
+            notes: node.notes
+        })),
+        comparison: {
+            ...JSON.parse(JSON.stringify(context.comparison)),
+            ranking: getComparisonRows().map(row => ({ id: row.node.id, choice: row.node.choice, total: row.total }))
+        },
+        operatorUsageCount: { ...operatorUsageCount },
+        stats: {
+            totalSteps: currentPath.length,
+            totalNodes: countNodes(context.rootNode),
+            phaseDistribution: calculatePhaseDistribution(getCurrentPathNodes()),
+            analytics: computeSessionAnalytics()
+        }
+    };
+    
+    return JSON.stringify(exportData, null, 2);
+}
+
+/**
+ * Escape text for XML attribute values
+ */
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/\n/g, '&#10;');
+}
+
+/**
+ * Build an OPML 2.0 outline (the domain is the top-level outline)
+ * Notes use the common _note attribute; phase, rating, tags and favourite are extra attributes
+ */
+function buildOpmlExport(scope) {
+    const renderEntry = (entry, indent) => {
+        const node = entry.node;
+        let attributes = `text="${escapeXml(node.choice)}" phase="${escapeXml(PHASES[getNodePhase(node)].name)}"`;
+        if (node.notes) attributes += ` _note="${escapeXml(node.notes)}"`;
+        if (node.rating > 0) attributes += ` rating="${node.rating}"`;
+        if (node.tags.length > 0) attributes += ` tags="${escapeXml(node.tags.join(', '))}"`;
+        if (node.favourite) attributes += ' favourite="true"';
+        
+        if (entry.children.length === 0) {
+            return `${indent}<outline ${attributes}/>\n`;
+        }
+        return `${indent}<outline ${attributes}>\n` +
+            entry.children.map(child => renderEntry(child, `${indent}  `)).join('') +
+            `${indent}</outline>\n`;
+    };
+    
+    const tree = getExportTree(scope);
+    let opml = '<?xml version="1.0" encoding="UTF-8"?>\n';
+    opml += '<opml version="2.0">\n';
+    opml += '  <head>\n';
+    opml += `    <title>Infinity Idea Generator - ${escapeXml(context.domain)}</title>\n`;
+    opml += `    <dateCreated>${new Date().toUTCString()}</dateCreated>\n`;
+    opml += '  </head>\n';
+    opml += '  <body>\n';
+    if (tree) {
+        opml += `    <outline text="${escapeXml(context.domain)}">\n`;
+        opml += renderEntry(tree, '      ');
+        opml += '    </outline>\n';
+    } else {
+        opml += `    <outline text="${escapeXml(context.domain)}"/>\n`;
+    }
+    opml += '  </body>\n';
+    opml += '</opml>\n';
+    return opml;
+}
+
+/**
+ * Escape text for a quoted Mermaid node label
+ */
+function escapeMermaid(text) {
+    return String(text)
+        .replace(/"/g, '#quot;')
+        .replace(/</g, '#lt;')
+        .replace(/>/g, '#gt;')
+        .replace(/\n/g, ' ');
+}
+
+/**
+ * Build a Mermaid mindmap (the domain is the root)
+ */
+function buildMermaidMindmapExport(scope) {
+    let mermaid = 'mindmap\n';
+    mermaid += `  root(("${escapeMermaid(context.domain)}"))\n`;
+    
+    let nextId = 0;
+    const tree = getExportTree(scope);
+    const baseDepth = tree ? tree.depth : 0;
+    forEachExportEntry(tree, entry => {
+        const indent = '  '.repeat(entry.depth - baseDepth + 2);
+        mermaid += `${indent}n${nextId++}["${escapeMermaid(entry.node.choice)}"]\n`;
+    });
+    return mermaid;
+}
+
+/**
+ * Build a Mermaid flowchart, coloured by phase, with the current path in thick lines
+ */
+function buildMermaidGraphExport(scope) {
+    const pathNodes = new Set(getCurrentPathNodes());
+    const ids = new Map();
+    let mermaid = 'graph TD\n';
+    mermaid += `  root(["${escapeMermaid(context.domain)}"])\n`;
+    
+    const usedPhases = new Set();
+    forEachExportEntry(getExportTree(scope), (entry, parent) => {
+        const node = entry.node;
+        const id = `n${ids.size}`;
+        ids.set(node, id);
+        
+        const phaseKey = getNodePhase(node);
+        usedPhases.add(phaseKey);
+        mermaid += `  ${id}["${escapeMermaid(node.choice)}"]:::phase_${phaseKey.toLowerCase()}\n`;
+        
+        const parentId = parent ? ids.get(parent.node) : 'root';
+        const onPath = pathNodes.has(node) && (!parent || pathNodes.has(parent.node));
+        mermaid += `  ${parentId} ${onPath ? '==>' : '-->'} ${id}\n`;
+    });
+    
+    usedPhases.forEach(phaseKey => {
+        mermaid += `  classDef phase_${phaseKey.toLowerCase()} fill:${PHASES[phaseKey].color},color:#fff,stroke:#333\n`;
+    });
+    if (ids.has(context.currentNode)) {
+        mermaid += `  style ${ids.get(context.currentNode)} stroke-width:4px\n`;
+    }
+    return mermaid;
+}
+
+/**
+ * Escape text for a quoted Graphviz DOT string
+ */
+function escapeDot(text) {
+    return String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Build a Graphviz DOT digraph, coloured by phase, with the current path in bold
+ */
+function buildDotExport(scope) {
+    const pathNodes = new Set(getCurrentPathNodes());
+    let dot = 'digraph ideas {\n';
+    dot += '  rankdir=TB;\n';
+    dot += '  node [shape=box, style="rounded,filled", fontname="Helvetica", fontcolor="white"];\n';
+    dot += `  root [label="${escapeDot(context.domain)}", shape=ellipse, fillcolor="#444444"];\n`;
+    
+    forEachExportEntry(getExportTree(scope), (entry, parent) => {
+        const node = entry.node;
+        const attributes = [`label="${escapeDot(node.choice)}"`, `fillcolor="${PHASES[getNodePhase(node)].color}"`];
+        if (node === context.currentNode) {
+            attributes.push('penwidth=3');
+        }
+        dot += `  "${escapeDot(node.id)}" [${attributes.join(', ')}];\n`;
+        
+        const parentId = parent ? `"${escapeDot(parent.node.id)}"` : 'root';
+        const onPath = pathNodes.has(node) && (!parent || pathNodes.has(parent.node));
+        dot += `  ${parentId} -> "${escapeDot(node.id)}"${onPath ? ' [penwidth=2.5]' : ''};\n`;
+    });
+    
+    dot += '}\n';
+    return dot;
+}
+
+/**
+ * Quote a CSV field when needed (RFC 4180). Fields that a spreadsheet would
+ * read as a formula get a leading apostrophe so they open as plain text
+ */
+function escapeCsv(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build a flat CSV with one row per idea (depth 1 = first idea)
+ */
+function buildCsvExport(scope) {
+    const pathNodes = new Set(getCurrentPathNodes());
+    const rows = [[
+        'id', 'parent_id', 'depth', 'choice', 'phase', 'on_current_path',
+        'favourite', 'rating', 'tags', 'notes', 'source', 'operator', 'category', 'created_at'
+    ]];
+    
+    forEachExportEntry(getExportTree(scope), entry => {
+        const node = entry.node;
+        const provenance = node.provenance || {};
+        rows.push([
+            node.id,
+            node.parent ? node.parent.id : '',
+            entry.depth + 1,
+            node.choice,
+            PHASES[getNodePhase(node)].name,
+            pathNodes.has(node) ? 'yes' : 'no',
+            node.favourite ? 'yes' : 'no',
+            node.rating || '',
+            node.tags.join(', '),
+            node.notes,
+            provenance.source || '',
+            provenance.operator || '',
+            provenance.category || '',
+            node.createdAt || ''
+        ]);
+    });
     
-    if (context.currentNode === null) {
-        // First choice - this becomes the root
-        context.rootNode = newNode;
-    } else {
-        // Add as child to current node
-        context.currentNode.children.push(newNode);
+    return rows.map(row => row.map(escapeCsv).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Create an element with a class and text content
+ */
+function createTextElement(tagName, className, text) {
+    const element = document.createElement(tagName);
+    if (className) element.className = className;
+    if (text !== undefined) element.textContent = text;
+    return element;
+}
+
+/**
+ * Create a coloured phase badge for the print report
+ */
+function createPhaseBadge(phaseKey) {
+    const badge = createTextElement('span', 'report-phase', PHASES[phaseKey].name);
+    badge.style.backgroundColor = PHASES[phaseKey].color;
+    return badge;
+}
+
+/**
+ * Create the annotation line and notes of an idea for the print report
+ */
+function createReportAnnotations(node) {
+    const fragment = document.createDocumentFragment();
+    const summary = summarizeAnnotations(node);
+    if (summary) {
+        fragment.appendChild(createTextElement('span', 'report-annotations', ` ${summary}`));
     }
+    if (node.notes) {
+        fragment.appendChild(createTextElement('blockquote', 'report-notes', node.notes));
+    }
+    return fragment;
+}
+
+/**
+ * Render a subtree as nested lists for the print report
+ */
+function createReportTree(node, pathNodes) {
+    const item = document.createElement('li');
+    if (pathNodes.has(node)) item.classList.add('on-path');
+    if (node === context.currentNode) item.classList.add('current');
     
-    // Move to the new node
-    context.currentNode = newNode;
-    
-    // Save state to localStorage
-    saveStateToLocalStorage();
+    const dot = createTextElement('span', 'report-dot');
+    dot.style.backgroundColor = PHASES[getNodePhase(node)].color;
+    item.append(dot, createTextElement('span', 'report-choice', node.choice), createReportAnnotations(node));
     
-    // Generate next set of options (infinite loop)
-    generateNextStep();
+    if (node.children.length > 0) {
+        const list = document.createElement('ul');
+        node.children.forEach(child => list.appendChild(createReportTree(child, pathNodes)));
+        item.appendChild(list);
+    }
+    return item;
 }
 
 /**
- * Reset the app to initial state
+ * Build the printable session report (shown instead of the app when printing)
  */
-function resetApp() {
-    // Confirm before resetting to prevent accidental data loss
-    const hasData = context.domain || context.rootNode;
-    if (hasData) {
-        const confirmed = confirm('Are you sure you want to reset? This will clear your current session and saved progress.');
-        if (!confirmed) {
-            return;
-        }
+function renderPrintReport() {
+    const analytics = computeSessionAnalytics();
+    const pathNodes = getCurrentPathNodes();
+    printReport.innerHTML = '';
+    
+    // Title and session details
+    printReport.appendChild(createTextElement('h1', null, `Idea Report: ${context.domain}`));
+    const details = [
+        `Date: ${new Date().toLocaleDateString()}`,
+        `Steps on chosen path: ${pathNodes.length}`,
+        `Ideas explored: ${analytics.totalNodes}`,
+        `Current phase: ${PHASES[context.currentPhase].name}`
+    ];
+    if (context.seed) {
+        details.push(`Seed: ${context.seed}`);
     }
+    if (operatorMappings) {
+        details.push(`Categories: ${describeCategoryBlend()}`);
+    }
+    printReport.appendChild(createTextElement('p', 'report-details', details.join(' · ')));
     
-    // Clear context
-    context.domain = '';
-    context.rootNode = null;
-    context.currentNode = null;
-    context.currentPhase = 'EXPLORATION';
-    context.manualPhaseOverride = null;
+    // Summary statistics
+    printReport.appendChild(createTextElement('h2', null, 'Summary'));
+    const stats = document.createElement('dl');
+    stats.className = 'report-stats';
+    const knownSources = analytics.sources.generated + analytics.sources.custom;
+    [
+        ['Depth', analytics.depth],
+        ['Widest level', analytics.breadth],
+        ['Abandoned branches', analytics.abandonedBranches.length],
+        ['Custom ideas', knownSources > 0 ? `${Math.round((analytics.sources.custom / knownSources) * 100)}%` : '–'],
+        ['Time spent', analytics.timePerStep.length > 0 ? formatDuration(analytics.totalSeconds) : '–']
+    ].forEach(([label, value]) => {
+        stats.append(createTextElement('dt', null, label), createTextElement('dd', null, String(value)));
+    });
+    printReport.appendChild(stats);
     
-    // Clear operator usage tracking (efficient clearing)
-    Object.keys(operatorUsageCount).forEach(key => delete operatorUsageCount[key]);
+    const distribution = calculatePhaseDistribution(pathNodes);
+    const phaseSummary = createTextElement('p', 'report-phase-summary', 'Chosen path by phase: ');
+    Object.entries(distribution).forEach(([phaseKey, count]) => {
+        phaseSummary.append(createPhaseBadge(phaseKey), ` ${count} `);
+    });
+    printReport.appendChild(phaseSummary);
+    
+    // Chosen path
+    printReport.appendChild(createTextElement('h2', null, 'Chosen Path'));
+    if (pathNodes.length === 0) {
+        printReport.appendChild(createTextElement('p', 'report-empty', 'No choices made yet.'));
+    } else {
+        const pathList = document.createElement('ol');
+        pathList.className = 'report-path';
+        pathNodes.forEach(node => {
+            const item = document.createElement('li');
+            item.style.borderLeftColor = PHASES[getNodePhase(node)].color;
+            item.append(createPhaseBadge(getNodePhase(node)), ' ', createTextElement('strong', null, node.choice), createReportAnnotations(node));
+            pathList.appendChild(item);
+        });
+        printReport.appendChild(pathList);
+    }
     
-    // Clear localStorage
-    localStorage.removeItem(LOCALSTORAGE_KEY);
+    // Highlights from every branch
+    const highlights = collectHighlights();
+    if (highlights.length > 0) {
+        printReport.appendChild(createTextElement('h2', null, 'Highlights'));
+        const highlightList = document.createElement('ul');
+        highlightList.className = 'report-highlights';
+        highlights.forEach(node => {
+            const item = document.createElement('li');
+            item.append(createTextElement('strong', null, node.choice), createReportAnnotations(node));
+            highlightList.appendChild(item);
+        });
+        printReport.appendChild(highlightList);
+    }
     
-    // Clear inputs
-    domainInput.value = '';
-    customInput.value = '';
+    // Comparison matrix
+    const comparisonRows = getComparisonRows();
+    if (comparisonRows.length > 0) {
+        printReport.appendChild(createTextElement('h2', null, 'Comparison'));
+        const table = document.createElement('table');
+        table.className = 'report-comparison';
+        const headRow = document.createElement('tr');
+        ['Idea', ...context.comparison.criteria.map(criterion =>
+            `${criterion.name} (×${criterion.weight}${criterion.lowerIsBetter ? ', lower is better' : ''})`), 'Total']
+            .forEach(text => headRow.appendChild(createTextElement('th', null, text)));
+        table.appendChild(headRow);
+        comparisonRows.forEach(row => {
+            const tr = document.createElement('tr');
+            tr.appendChild(createTextElement('td', null, row.node.choice));
+            context.comparison.criteria.forEach(criterion => {
+                tr.appendChild(createTextElement('td', null,
+                    row.scores[criterion.id] !== undefined ? String(row.scores[criterion.id]) : '–'));
+            });
+            tr.appendChild(createTextElement('td', null, `${row.total}%`));
+            table.appendChild(tr);
+        });
+        printReport.appendChild(table);
+    }
     
-    // Switch back to domain input screen
-    generationScreen.classList.remove('active');
-    domainInputScreen.classList.add('active');
+    // Every branch
+    if (context.rootNode) {
+        printReport.appendChild(createTextElement('h2', null, 'All Branches'));
+        printReport.appendChild(createTextElement('p', 'report-hint', 'Ideas on the chosen path are in bold; dots show the phase each idea was chosen in.'));
+        const tree = document.createElement('ul');
+        tree.className = 'report-tree';
+        tree.appendChild(createReportTree(context.rootNode, new Set(pathNodes)));
+        printReport.appendChild(tree);
+    }
     
-    // Focus on domain input
-    domainInput.focus();
+    printReport.appendChild(createTextElement('p', 'report-footer', 'Generated by Infinity Idea Generator'));
+    document.body.classList.add('has-print-report');
 }
 
 /**
- * Validate that a session exists for export
+ * Open the browser's print dialog with the session report (use "Save as PDF" for a PDF)
  */
-function validateSessionForExport() {
-    if (!context.domain) {
-        alert('No session to export. Please start generating ideas first.');
-        return false;
+function printSessionReport() {
+    if (!validateSessionForExport()) return;
+    
+    renderPrintReport();
+    window.print();
+}
+
+/**
+ * Validate a serialized tree node from a JSON export, collecting errors
+ * @param {Object} data - Serialized node (see serializeNode())
+ * @param {string} path - Location of the node in the file, used in error messages
+ * @param {Set} seenIds - IDs found so far (IDs must be unique)
+ * @param {Array} errors - Error messages are appended here
+ */
+function validateExportedNode(data, path, seenIds, errors) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        errors.push(`${path} must be an object`);
+        return;
     }
-    return true;
+    
+    if (typeof data.id !== 'string' || !data.id) {
+        errors.push(`${path}.id must be a non-empty string`);
+    } else if (seenIds.has(data.id)) {
+        errors.push(`${path}.id "${data.id}" is used by more than one node`);
+    } else {
+        seenIds.add(data.id);
+    }
+    
+    if (typeof data.choice !== 'string' || !data.choice.trim()) {
+        errors.push(`${path}.choice must be a non-empty string`);
+    }
+    
+    // Phase fields are optional (older exports); keys from another phase model are dropped on import
+    ['phase', 'phaseOverride', 'phaseFloor'].forEach(field => {
+        if (data[field] !== undefined && data[field] !== null && typeof data[field] !== 'string') {
+            errors.push(`${path}.${field} must be a phase key or null`);
+        }
+    });
+    
+    // Annotations are optional too
+    if (data.notes !== undefined && typeof data.notes !== 'string') {
+        errors.push(`${path}.notes must be a string`);
+    }
+    if (data.rating !== undefined && !(Number.isInteger(data.rating) && data.rating >= 0 && data.rating <= MAX_RATING)) {
+        errors.push(`${path}.rating must be a whole number from 0 to ${MAX_RATING}`);
+    }
+    if (data.tags !== undefined && !(Array.isArray(data.tags) && data.tags.every(tag => typeof tag === 'string'))) {
+        errors.push(`${path}.tags must be an array of strings`);
+    }
+    if (data.favourite !== undefined && typeof data.favourite !== 'boolean') {
+        errors.push(`${path}.favourite must be true or false`);
+    }
+    
+    // So is provenance
+    if (data.provenance !== undefined && data.provenance !== null) {
+        if (typeof data.provenance !== 'object' || Array.isArray(data.provenance)) {
+            errors.push(`${path}.provenance must be an object or null`);
+        } else if (!['generated', 'custom'].includes(data.provenance.source)) {
+            errors.push(`${path}.provenance.source must be "generated" or "custom"`);
+        }
+    }
+    if (data.createdAt !== undefined && data.createdAt !== null &&
+        (typeof data.createdAt !== 'string' || isNaN(Date.parse(data.createdAt)))) {
+        errors.push(`${path}.createdAt must be a date string or null`);
+    }
+    if (data.offeredOptions !== undefined) {
+        if (!Array.isArray(data.offeredOptions)) {
+            errors.push(`${path}.offeredOptions must be an array`);
+        } else {
+            data.offeredOptions.forEach((option, index) => {
+                if (!option || typeof option.text !== 'string' || !option.text.trim()) {
+                    errors.push(`${path}.offeredOptions[${index}].text must be a non-empty string`);
+                } else if (option.chosen !== undefined && typeof option.chosen !== 'boolean') {
+                    errors.push(`${path}.offeredOptions[${index}].chosen must be true or false`);
+                }
+            });
+        }
+    }
+    
+    if (data.children === undefined) {
+        return; // Leaf nodes may omit children
+    }
+    if (!Array.isArray(data.children)) {
+        errors.push(`${path}.children must be an array`);
+        return;
+    }
+    data.children.forEach((child, index) => {
+        validateExportedNode(child, `${path}.children[${index}]`, seenIds, errors);
+    });
 }
 
 /**
- * Export current idea path as Markdown
+ * Validate a parsed JSON export (see buildJsonExport())
+ * Returns an array of error messages (empty if the file can be imported)
  */
-function exportAsMarkdown() {
-    if (!validateSessionForExport()) return;
+function validateSessionExport(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return ['The file does not contain a session object'];
+    }
     
-    const currentPath = getCurrentPath();
-    const timestamp = new Date().toISOString().split('T')[0];
+    // Files from before formatVersion was added are version 1
+    const version = data.formatVersion === undefined ? 1 : data.formatVersion;
+    if (!Number.isInteger(version) || version < 1) {
+        return ['formatVersion must be a positive whole number'];
+    }
+    if (version > EXPORT_FORMAT_VERSION) {
+        return [`The file uses format version ${version}, but this app only supports up to version ${EXPORT_FORMAT_VERSION}. Please update the app to import it.`];
+    }
     
-    let markdown = `# Infinity Idea Generator - Idea Path\n\n`;
-    markdown += `**Domain:** ${context.domain}\n`;
-    markdown += `**Date:** ${timestamp}\n`;
-    markdown += `**Steps:** ${currentPath.length}\n`;
-    markdown += `**Current Phase:** ${PHASES[context.currentPhase].name}\n\n`;
-    markdown += `## Idea Evolution Path\n\n`;
+    const errors = [];
     
-    if (currentPath.length === 0) {
-        markdown += `_No choices made yet_\n`;
+    if (typeof data.domain !== 'string' || !data.domain.trim()) {
+        errors.push('domain must be a non-empty string');
+    }
+    
+    if (data.fullTree !== null && data.fullTree !== undefined) {
+        validateExportedNode(data.fullTree, 'fullTree', new Set(), errors);
+    }
+    
+    if (!Array.isArray(data.currentPath)) {
+        errors.push('currentPath must be an array');
     } else {
-        currentPath.forEach((choice, index) => {
-            // Determine phase for this step (index + 1 = step number = stepCount at that point)
-            // Don't respect override to show natural phase progression
-            const stepCount = index + 1;
-            const stepPhase = determinePhaseFromSteps(stepCount, false);
-            const phaseName = PHASES[stepPhase].name;
-            markdown += `${stepCount}. [${phaseName}] ${choice}\n`;
+        data.currentPath.forEach((choice, index) => {
+            if (typeof choice !== 'string') {
+                errors.push(`currentPath[${index}] must be a string`);
+            }
         });
     }
     
-    markdown += `\n---\n_Generated by Infinity Idea Generator_\n`;
+    if (data.currentPhase !== undefined && !PHASES[data.currentPhase]) {
+        errors.push(`currentPhase "${data.currentPhase}" is not a known phase (${Object.keys(PHASES).join(', ')})`);
+    }
+    if (data.manualPhaseOverride !== undefined && data.manualPhaseOverride !== null && !PHASES[data.manualPhaseOverride]) {
+        errors.push(`manualPhaseOverride "${data.manualPhaseOverride}" is not a known phase (${Object.keys(PHASES).join(', ')})`);
+    }
+    
+    if (data.seed !== undefined && typeof data.seed !== 'string') {
+        errors.push('seed must be a string');
+    }
+    if (data.selectedCategories !== undefined && data.selectedCategories !== null &&
+        !(Array.isArray(data.selectedCategories) && data.selectedCategories.every(name => typeof name === 'string'))) {
+        errors.push('selectedCategories must be a list of category names');
+    }
+    if (data.genericRatio !== undefined && data.genericRatio !== null && !isValidGenericRatio(data.genericRatio)) {
+        errors.push('genericRatio must be a number from 0 to 1');
+    }
+    
+    if (data.comparison !== undefined) {
+        const comparison = data.comparison;
+        if (!comparison || typeof comparison !== 'object' || Array.isArray(comparison)) {
+            errors.push('comparison must be an object');
+        } else {
+            if (comparison.shortlist !== undefined && !(Array.isArray(comparison.shortlist) &&
+                comparison.shortlist.every(id => typeof id === 'string'))) {
+                errors.push('comparison.shortlist must be an array of node IDs');
+            }
+            if (comparison.criteria !== undefined) {
+                if (!Array.isArray(comparison.criteria)) {
+                    errors.push('comparison.criteria must be an array');
+                } else {
+                    comparison.criteria.forEach((criterion, index) => {
+                        if (!criterion || typeof criterion.name !== 'string' || !criterion.name.trim()) {
+                            errors.push(`comparison.criteria[${index}].name must be a non-empty string`);
+                        } else if (typeof criterion.weight !== 'number' || criterion.weight < 0) {
+                            errors.push(`comparison.criteria[${index}].weight must be a number of at least 0`);
+                        }
+                    });
+                }
+            }
+        }
+    }
+    
+    if (data.operatorUsageCount !== undefined) {
+        if (!data.operatorUsageCount || typeof data.operatorUsageCount !== 'object' || Array.isArray(data.operatorUsageCount)) {
+            errors.push('operatorUsageCount must be an object');
+        } else {
+            for (const [operator, count] of Object.entries(data.operatorUsageCount)) {
+                if (!Number.isInteger(count) || count < 0) {
+                    errors.push(`operatorUsageCount["${operator}"] must be a non-negative whole number`);
+                }
+            }
+        }
+    }
     
-    downloadFile(`idea-path-${timestamp}.md`, markdown, 'text/markdown');
+    return errors;
 }
 
 /**
- * Export current idea path as JSON
+ * Find the node reached by following a path of choices from the root
+ * Throws an Error naming the first step that doesn't match the tree
  */
-function exportAsJSON() {
-    if (!validateSessionForExport()) return;
+function findNodeByChoicePath(root, choicePath) {
+    if (choicePath.length === 0) {
+        if (root) {
+            throw new Error('currentPath is empty, but fullTree contains ideas');
+        }
+        return null;
+    }
+    if (!root) {
+        throw new Error('currentPath has steps, but fullTree is empty');
+    }
+    if (root.choice !== choicePath[0]) {
+        throw new Error(`currentPath[0] "${choicePath[0]}" does not match the first idea in fullTree ("${root.choice}")`);
+    }
     
-    const currentPath = getCurrentPath();
-    const timestamp = new Date().toISOString();
+    let node = root;
+    for (let i = 1; i < choicePath.length; i++) {
+        const child = node.children.find(candidate => candidate.choice === choicePath[i]);
+        if (!child) {
+            throw new Error(`currentPath[${i}] "${choicePath[i]}" is not a child of "${node.choice}" in fullTree`);
+        }
+        node = child;
+    }
+    return node;
+}
+
+/**
+ * Import a session from a JSON export file (opens it as a new session)
+ */
+function importSessionFromFile(event) {
+    const file = event.target.files[0];
+    if (!file) return;
     
-    const exportData = {
-        domain: context.domain,
-        exportDate: timestamp,
-        currentPhase: context.currentPhase,
-        manualPhaseOverride: context.manualPhaseOverride,
-        currentPath: currentPath,
-        fullTree: serializeNode(context.rootNode),
-        stats: {
-            totalSteps: currentPath.length,
-            totalNodes: countNodes(context.rootNode),
-            phaseDistribution: calculatePhaseDistribution(currentPath)
+    const reader = new FileReader();
+    reader.onload = function(e) {
+        let data;
+        try {
+            data = JSON.parse(e.target.result);
+        } catch (error) {
+            alert(`Could not import "${file.name}": the file is not valid JSON (${error.message}).`);
+            return;
+        }
+        
+        const errors = validateSessionExport(data);
+        if (errors.length > 0) {
+            alert(`Could not import "${file.name}":\n\n- ${errors.join('\n- ')}`);
+            return;
+        }
+        
+        const rootNode = deserializeNode(data.fullTree || null);
+        let currentNode;
+        try {
+            currentNode = findNodeByChoicePath(rootNode, data.currentPath);
+        } catch (error) {
+            alert(`Could not import "${file.name}":\n\n- ${error.message}`);
+            return;
         }
+        
+        createSession(data.domain.trim());
+        restoreSessionState({
+            domain: data.domain.trim(),
+            rootNode: serializeNode(rootNode),
+            currentNodeId: currentNode ? currentNode.id : null,
+            operatorUsageCount: data.operatorUsageCount || {},
+            currentPhase: data.currentPhase,
+            manualPhaseOverride: data.manualPhaseOverride,
+            seed: data.seed,
+            selectedCategories: data.selectedCategories,
+            genericRatio: data.genericRatio,
+            comparison: data.comparison
+        });
+        saveStateToLocalStorage();
+        showSessionScreen();
     };
+    reader.readAsText(file);
     
-    const json = JSON.stringify(exportData, null, 2);
-    const dateStr = timestamp.split('T')[0];
-    downloadFile(`idea-path-${dateStr}.json`, json, 'application/json');
+    // Reset the input so the same file can be imported again
+    event.target.value = '';
 }
 
 /**
- * Calculate phase distribution across the path
+ * Calculate phase distribution across the path (phases the choices were made in)
  */
-function calculatePhaseDistribution(path) {
-    const distribution = {
-        EXPLORATION: 0,
-        REFINEMENT: 0,
-        VALIDATION: 0
-    };
+function calculatePhaseDistribution(pathNodes) {
+    const distribution = {};
+    Object.keys(PHASES).forEach(phaseKey => {
+        distribution[phaseKey] = 0;
+    });
     
-    path.forEach((_, index) => {
-        // Use step count (index + 1) to determine phase
-        // Don't respect override to show natural phase progression
-        const stepCount = index + 1;
-        const phase = determinePhaseFromSteps(stepCount, false);
-        distribution[phase]++;
+    pathNodes.forEach(node => {
+        distribution[getNodePhase(node)]++;
     });
     
     return distribution;
@@ -1106,6 +4037,220 @@ function downloadFile(filename, content, mimeType) {
     URL.revokeObjectURL(url);
 }
 
+/**
+ * Convert bytes to URL-safe base64 (no padding)
+ */
+function bytesToBase64Url(bytes) {
+    let binary = '';
+    const chunkSize = 0x8000; // Avoid call stack limits on large payloads
+    for (let i = 0; i < bytes.length; i += chunkSize) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Convert URL-safe base64 back to bytes
+ */
+function base64UrlToBytes(text) {
+    const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+    return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+/**
+ * Pipe bytes through a CompressionStream or DecompressionStream
+ */
+async function transformBytes(bytes, stream) {
+    const buffer = await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer();
+    return new Uint8Array(buffer);
+}
+
+/**
+ * Encode a tree compactly as nested arrays: [choice, phase state, child, child, ...]
+ * The phase state is [phase, phaseOverride, phaseFloor], or 0 for nodes without any
+ */
+function encodeTreeForShare(node) {
+    const phaseState = node.phase || node.phaseOverride || node.phaseFloor
+        ? [node.phase, node.phaseOverride, node.phaseFloor]
+        : 0;
+    return [node.choice, phaseState, ...node.children.map(encodeTreeForShare)];
+}
+
+/**
+ * Rebuild a tree from encodeTreeForShare() output (nodes get fresh IDs)
+ * Version 1 links carry no phase state: [choice, ...children]
+ * @param {number} version - Share link version the tree was encoded with
+ */
+function decodeTreeFromShare(data, version, parent = null) {
+    if (!Array.isArray(data) || typeof data[0] !== 'string') {
+        throw new Error('Invalid tree data');
+    }
+    const node = new HistoryNode(data[0], parent);
+    let children = data.slice(1);
+    if (version >= 2) {
+        // Phase keys from a different phase model are dropped, as for saved sessions
+        const phaseState = Array.isArray(data[1]) ? data[1] : [];
+        [node.phase, node.phaseOverride, node.phaseFloor] = [0, 1, 2]
+            .map(index => PHASES[phaseState[index]] ? phaseState[index] : null);
+        children = data.slice(2);
+    }
+    node.children = children.map(childData => decodeTreeFromShare(childData, version, node));
+    return node;
+}
+
+/**
+ * Encode the current session into a compressed, versioned URL fragment value
+ */
+async function encodeSessionForUrl() {
+    // The current node is stored as child indexes from the root, since IDs aren't shared
+    const currentIndexPath = [];
+    let node = context.currentNode;
+    while (node && node.parent) {
+        currentIndexPath.unshift(node.parent.children.indexOf(node));
+        node = node.parent;
+    }
+    
+    const payload = {
+        d: context.domain,
+        t: context.rootNode ? encodeTreeForShare(context.rootNode) : null,
+        c: context.currentNode ? currentIndexPath : null,
+        o: context.manualPhaseOverride,
+        s: context.seed || undefined,
+        k: context.selectedCategories || undefined,
+        g: context.genericRatio !== null ? context.genericRatio : undefined,
+        u: operatorUsageCount
+    };
+    const bytes = new TextEncoder().encode(JSON.stringify(payload));
+    
+    // Codec "z" is deflate-compressed JSON, "j" is plain JSON for browsers without CompressionStream
+    if (typeof CompressionStream !== 'undefined') {
+        const compressed = await transformBytes(bytes, new CompressionStream('deflate-raw'));
+        return `${SHARE_LINK_VERSION}z.${bytesToBase64Url(compressed)}`;
+    }
+    return `${SHARE_LINK_VERSION}j.${bytesToBase64Url(bytes)}`;
+}
+
+/**
+ * Decode a share fragment value into a session state (see captureSessionState())
+ * Throws an Error with a user-facing message if the link can't be used
+ */
+async function decodeSessionFromUrl(value) {
+    const match = /^(\d+)([a-z])\.([A-Za-z0-9_-]+)$/.exec(value);
+    if (!match) {
+        throw new Error('The share link is malformed.');
+    }
+    
+    const version = parseInt(match[1], 10);
+    if (version > SHARE_LINK_VERSION) {
+        throw new Error('The share link was created by a newer version of the app.');
+    }
+    
+    if (match[2] !== 'z' && match[2] !== 'j') {
+        throw new Error('The share link uses an unknown encoding.');
+    }
+    if (match[2] === 'z' && typeof DecompressionStream === 'undefined') {
+        throw new Error('This browser cannot open compressed share links.');
+    }
+    
+    let payload;
+    try {
+        let bytes = base64UrlToBytes(match[3]);
+        if (match[2] === 'z') {
+            bytes = await transformBytes(bytes, new DecompressionStream('deflate-raw'));
+        }
+        payload = JSON.parse(new TextDecoder().decode(bytes));
+    } catch (error) {
+        throw new Error('The share link is corrupted or incomplete.');
+    }
+    
+    if (!payload || typeof payload.d !== 'string' || !payload.d.trim()) {
+        throw new Error('The share link does not contain a domain.');
+    }
+    
+    let rootNode;
+    try {
+        rootNode = payload.t ? decodeTreeFromShare(payload.t, version) : null;
+    } catch (error) {
+        throw new Error('The share link contains an invalid idea tree.');
+    }
+    
+    // Walk the index path to find the current node
+    let currentNode = rootNode && Array.isArray(payload.c) ? rootNode : null;
+    if (currentNode) {
+        for (const index of payload.c) {
+            currentNode = currentNode.children[index] || currentNode;
+        }
+    }
+    
+    return {
+        domain: payload.d,
+        rootNode: serializeNode(rootNode),
+        currentNodeId: currentNode ? currentNode.id : null,
+        operatorUsageCount: payload.u && typeof payload.u === 'object' ? payload.u : {},
+        currentPhase: getFirstPhaseKey(), // Recalculated on the next generation step
+        manualPhaseOverride: PHASES[payload.o] ? payload.o : null,
+        seed: typeof payload.s === 'string' ? payload.s : '',
+        selectedCategories: Array.isArray(payload.k) ? payload.k : null,
+        genericRatio: payload.g
+    };
+}
+
+/**
+ * Build a share link for the current session and copy it to the clipboard
+ */
+async function copyShareLink() {
+    if (!validateSessionForExport()) return;
+    
+    let url;
+    try {
+        url = `${location.origin}${location.pathname}${location.search}#${SHARE_HASH_PARAM}=${await encodeSessionForUrl()}`;
+    } catch (error) {
+        console.error('Failed to create share link:', error);
+        alert('Sorry, a share link could not be created for this session.');
+        return;
+    }
+    
+    try {
+        await navigator.clipboard.writeText(url);
+        const originalText = shareLinkBtn.textContent;
+        shareLinkBtn.textContent = 'Link copied!';
+        setTimeout(() => {
+            shareLinkBtn.textContent = originalText;
+        }, 2000);
+    } catch (error) {
+        // Clipboard access can be denied (e.g. file:// pages); let the user copy manually
+        prompt('Copy this link to share your session:', url);
+    }
+}
+
+/**
+ * Import a session from a share link in the URL fragment, if present
+ */
+async function importSessionFromUrl() {
+    const params = new URLSearchParams(location.hash.substring(1));
+    const value = params.get(SHARE_HASH_PARAM);
+    if (!value) return;
+    
+    // Drop the fragment so a reload doesn't import the same link again
+    history.replaceState(null, '', `${location.pathname}${location.search}`);
+    
+    let state;
+    try {
+        state = await decodeSessionFromUrl(value);
+    } catch (error) {
+        console.error('Failed to open share link:', error);
+        alert(`Could not open the shared session: ${error.message}`);
+        return;
+    }
+    
+    // Shared sessions open as a new session, leaving existing ones untouched
+    createSession(state.domain);
+    restoreSessionState(state);
+    saveStateToLocalStorage();
+    showSessionScreen();
+}
+
 // Initialize app when DOM is ready
 if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', init);